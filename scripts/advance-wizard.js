@@ -0,0 +1,218 @@
+/**
+ * Advance the Fronts
+ * Wizard for between sessions: decide for every danger whether its next
+ * grim portent comes true, is held back or was thwarted by the players, then
+ * complete the advanced portents and end the thwarted dangers as one change
+ * and show what happened. Dormant and ended fronts and dangers are left out.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { getDoomProgress } from './doom.js';
+import { isActive } from './lifecycle.js';
+import { localize, format } from './i18n.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const CHAT_TEMPLATE = `modules/${MODULE_ID}/templates/chat-advance-summary.hbs`;
+
+// Outcomes with the keys of their labels
+const OUTCOMES = {
+  advance: 'FRONT_MANAGER.Wizard.Advance',
+  hold: 'FRONT_MANAGER.Wizard.Hold',
+  thwarted: 'FRONT_MANAGER.Wizard.Thwarted'
+};
+
+export class AdvanceWizardApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'front-manager-advance',
+    classes: ['front-manager', 'front-manager-advance'],
+    window: {
+      title: 'FRONT_MANAGER.Wizard.Title',
+      icon: 'fas fa-forward',
+      resizable: true
+    },
+    position: {
+      width: 560,
+      height: 640
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/advance-wizard.hbs`
+    }
+  };
+
+  // dangerId -> {outcome, note}, kept across re-renders
+  #choices = new Map();
+  #summary = null;
+  #applying = false;
+
+  async _prepareContext(options) {
+    if (this.#summary) return { summary: this.#summary };
+
+    let fronts = [];
+    let error = null;
+    try {
+      fronts = await game.modules.get(MODULE_ID).api.getFronts();
+    } catch (err) {
+      error = err.message;
+    }
+
+    const groups = fronts
+      .map(front => ({
+        id: front.id,
+        name: front.name,
+        dangers: (front.dangers || [])
+          .filter(danger => isActive(front, danger) && danger.grimPortents?.some(p => !p.completed))
+          .map(danger => this.#prepareDanger(danger))
+      }))
+      .filter(front => front.dangers.length);
+
+    return {
+      fronts: groups,
+      outcomes: OUTCOMES,
+      applying: this.#applying,
+      error
+    };
+  }
+
+  #prepareDanger(danger) {
+    const progress = getDoomProgress(danger);
+    const choice = this.#choices.get(danger.id) ?? { outcome: 'hold', note: '' };
+    return {
+      id: danger.id,
+      name: danger.name,
+      next: danger.grimPortents.find(p => !p.completed).text,
+      progress,
+      bringsDoom: progress.filled + 1 === progress.segments,
+      impendingDoom: danger.impendingDoom,
+      ...choice
+    };
+  }
+
+  _onRender(context, options) {
+    const html = this.element;
+
+    html.querySelectorAll('.advance-danger').forEach(el => {
+      el.addEventListener('change', () => this.#readChoice(el));
+    });
+
+    html.querySelectorAll('[data-action="set-all"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        html.querySelectorAll('.advance-danger').forEach(danger => {
+          const radio = danger.querySelector(`input[value="${ev.currentTarget.dataset.outcome}"]`);
+          if (radio) radio.checked = true;
+          this.#readChoice(danger);
+        });
+      });
+    });
+
+    html.querySelectorAll('[data-action="apply-advance"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        this.#apply();
+      });
+    });
+
+    html.querySelectorAll('[data-action="post-summary"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        this.#postSummary();
+      });
+    });
+
+    html.querySelectorAll('[data-action="restart"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        this.#choices.clear();
+        this.#summary = null;
+        this.render();
+      });
+    });
+  }
+
+  #readChoice(el) {
+    const outcome = el.querySelector('input[type="radio"]:checked')?.value ?? 'hold';
+    this.#choices.set(el.dataset.dangerId, {
+      outcome,
+      note: el.querySelector('input[name="note"]').value.trim()
+    });
+    el.classList.remove(...Object.keys(OUTCOMES));
+    el.classList.add(outcome);
+  }
+
+  // -------------------------------------------------------------------------
+  // Applying
+  // -------------------------------------------------------------------------
+
+  async #apply() {
+    if (this.#applying) return;
+    this.element.querySelectorAll('.advance-danger').forEach(el => this.#readChoice(el));
+
+    const api = game.modules.get(MODULE_ID).api;
+    const choices = [...this.#choices.entries()].map(([dangerId, choice]) => ({ dangerId, ...choice }));
+    const advance = choices.filter(c => c.outcome === 'advance').map(c => c.dangerId);
+    const thwarted = choices.filter(c => c.outcome === 'thwarted');
+
+    this.#applying = true;
+    this.render();
+    try {
+      // The note becomes the outcome of a thwarted danger
+      const advanced = await api.advanceDangers(advance, thwarted.map(({ dangerId, note }) => ({
+        dangerId,
+        outcome: note || undefined
+      })));
+      this.#summary = await this.#buildSummary(choices, advanced);
+    } catch (err) {
+      console.error('[FrontManager] Failed to advance fronts:', err);
+      ui.notifications.error(format('Wizard.Failed', { error: err.message }));
+    } finally {
+      this.#applying = false;
+      this.render();
+    }
+  }
+
+  async #buildSummary(choices, advanced) {
+    const api = game.modules.get(MODULE_ID).api;
+    const dangers = await api.getDangers();
+    const fronts = await api.getFronts();
+
+    const entries = choices.flatMap(choice => {
+      const danger = dangers.find(d => d.id === choice.dangerId);
+      if (!danger) return [];
+      const portent = advanced.find(p => p.dangerId === danger.id);
+      if (choice.outcome === 'advance' && !portent) return [];
+
+      const progress = getDoomProgress(danger);
+      return [{
+        outcome: choice.outcome,
+        note: choice.note,
+        front: fronts.find(f => f.id === danger.frontId)?.name,
+        danger: danger.name,
+        portent: portent?.text,
+        progress,
+        impendingDoom: progress.arrived ? danger.impendingDoom : null
+      }];
+    });
+
+    return {
+      advanced: entries.filter(e => e.outcome === 'advance'),
+      held: entries.filter(e => e.outcome === 'hold'),
+      thwarted: entries.filter(e => e.outcome === 'thwarted'),
+      date: new Date().toLocaleDateString()
+    };
+  }
+
+  async #postSummary() {
+    if (!this.#summary) return;
+    const content = await foundry.applications.handlebars.renderTemplate(CHAT_TEMPLATE, this.#summary);
+    await ChatMessage.create({
+      content,
+      speaker: ChatMessage.getSpeaker({ alias: localize('Title') }),
+      whisper: ChatMessage.getWhisperRecipients('GM').map(u => u.id)
+    });
+    ui.notifications.info(localize('Wizard.SummaryPosted'));
+  }
+}
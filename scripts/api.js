@@ -0,0 +1,326 @@
+/**
+ * Public API
+ * Available as `game.modules.get('front-manager').api` once the `init` hook
+ * has run. All methods are async and work whether or not the Front Manager
+ * window is open. Returned fronts, dangers, portents and secrets are copies;
+ * change them through the methods below.
+ *
+ * Hooks:
+ *   frontManager.frontsUpdated   (fronts, {source})   the fronts changed; source is
+ *                                                     'server', 'local' or 'live'
+ *   frontManager.portentToggled  ({front, danger, portent})
+ *   frontManager.secretRevealed  ({front, danger, secret})
+ *   frontManager.doomReached     ({front, danger})    the last portent was completed
+ *   frontManager.preSave         (operations)         called before a change is saved;
+ *                                                     return false to cancel it
+ *
+ * Example, advance a danger whenever a scene is activated:
+ *   Hooks.on('updateScene', async (scene, changes) => {
+ *     if (!changes.active) return;
+ *     const api = game.modules.get('front-manager').api;
+ *     const danger = await api.getDanger('Der Kult des Fahlen Mondes');
+ *     if (danger) await api.advancePortent(danger.id);
+ *   });
+ */
+
+import { createDefaults } from './schema.js';
+import { FRONT_STATUSES, DANGER_STATUSES, statusOperations } from './lifecycle.js';
+import { localize, format } from './i18n.js';
+
+/**
+ * @param {Function} getApp  Returns the FrontManagerApp instance to work with
+ */
+export function createApi(getApp) {
+  const clone = foundry.utils.deepClone;
+
+  async function fronts() {
+    return (await getApp().getFrontsData()).fronts || [];
+  }
+
+  /** Find by id first, then by name (case-insensitive). */
+  function find(list, idOrName) {
+    const name = String(idOrName).toLowerCase();
+    return list.find(item => item.id === idOrName)
+      ?? list.find(item => item.name?.toLowerCase() === name)
+      ?? null;
+  }
+
+  async function locateFront(frontId) {
+    const front = (await fronts()).find(f => f.id === frontId);
+    if (!front) throw new Error(format('Error.FrontNotFound', { id: frontId }));
+    return front;
+  }
+
+  async function locateDanger(dangerId) {
+    for (const front of await fronts()) {
+      const danger = front.dangers?.find(d => d.id === dangerId);
+      if (danger) return { front, danger };
+    }
+    throw new Error(format('Error.DangerNotFound', { id: dangerId }));
+  }
+
+  async function save(operations) {
+    const saved = await getApp().applyOperations(operations);
+    if (!saved) throw new Error(localize('Error.ChangeRejected'));
+  }
+
+  function replaceFields(path, changes) {
+    return Object.entries(changes)
+      .filter(([key]) => key !== 'id')
+      .map(([key, value]) => ({ op: 'replace', path: `${path}/${key}`, value }));
+  }
+
+  const api = {
+    // -------------------------------------------------------------------------
+    // Window
+    // -------------------------------------------------------------------------
+
+    /**
+     * Open the Front Manager window.
+     * @param {string} [frontId]  Front to expand and scroll to
+     */
+    open(frontId) {
+      if (frontId) return getApp().focusFront(frontId);
+      return getApp().render(true);
+    },
+
+    /** Reload the fronts from the server. */
+    refresh() {
+      return getApp().refresh();
+    },
+
+    // -------------------------------------------------------------------------
+    // Queries
+    // -------------------------------------------------------------------------
+
+    /**
+     * @returns {Promise<object[]>}  All fronts
+     */
+    async getFronts() {
+      return clone(await fronts());
+    },
+
+    /**
+     * @param {string} idOrName
+     * @returns {Promise<object|null>}
+     */
+    async getFront(idOrName) {
+      const front = find(await fronts(), idOrName);
+      return front ? clone(front) : null;
+    },
+
+    /**
+     * @param {string} [frontId]  Limit to the dangers of one front
+     * @returns {Promise<object[]>}  Dangers, each with its `frontId`
+     */
+    async getDangers(frontId) {
+      return (await fronts())
+        .filter(front => !frontId || front.id === frontId)
+        .flatMap(front => (front.dangers || []).map(danger => ({ ...clone(danger), frontId: front.id })));
+    },
+
+    /**
+     * @param {string} idOrName
+     * @returns {Promise<object|null>}  The danger with its `frontId`
+     */
+    async getDanger(idOrName) {
+      return find(await api.getDangers(), idOrName);
+    },
+
+    // -------------------------------------------------------------------------
+    // Progress
+    // -------------------------------------------------------------------------
+
+    /**
+     * Toggle a grim portent, exactly like clicking its checkbox. Rejects if
+     * the portent does not exist or the change is rejected.
+     * @returns {Promise<object>}  The portent after the toggle
+     */
+    async togglePortent(dangerId, portentId) {
+      await locateDanger(dangerId);
+      const saved = await getApp().togglePortent(dangerId, portentId);
+      if (!saved) throw new Error(localize('Error.ChangeRejected'));
+      const { danger } = await locateDanger(dangerId);
+      return clone(danger.grimPortents?.find(p => p.id === portentId) ?? null);
+    },
+
+    /**
+     * Complete the first open grim portent of a danger.
+     * @returns {Promise<object|null>}  The completed portent, or null if all were done
+     */
+    async advancePortent(dangerId) {
+      const { danger } = await locateDanger(dangerId);
+      const next = danger.grimPortents?.find(p => !p.completed);
+      if (!next) return null;
+      return api.togglePortent(dangerId, next.id);
+    },
+
+    /**
+     * Complete the next open grim portent of several dangers as a single
+     * change, as the advance wizard does. Dangers without open portents are
+     * skipped. Dangers the players thwarted end in the same change.
+     * @param {string[]} dangerIds
+     * @param {{dangerId: string, outcome?: string}[]} [thwarted]  Dangers to end as thwarted
+     * @returns {Promise<object[]>}  The completed portents, each with its `dangerId`
+     */
+    async advanceDangers(dangerIds, thwarted = []) {
+      const portents = [];
+      for (const dangerId of dangerIds) {
+        const { danger } = await locateDanger(dangerId);
+        const next = danger.grimPortents?.find(p => !p.completed);
+        if (next) portents.push({ dangerId, portentId: next.id });
+      }
+      for (const { dangerId } of thwarted) await locateDanger(dangerId);
+
+      const saved = await getApp().advancePortents(portents, thwarted);
+      if (!saved) throw new Error(localize('Error.ChangeRejected'));
+
+      const advanced = [];
+      for (const { dangerId, portentId } of portents) {
+        const { danger } = await locateDanger(dangerId);
+        advanced.push({ ...clone(danger.grimPortents.find(p => p.id === portentId)), dangerId });
+      }
+      return advanced;
+    },
+
+    /**
+     * Reveal a secret or hide it again, exactly like clicking its checkbox.
+     * Rejects if the secret does not exist or the change is rejected.
+     * @returns {Promise<object>}  The secret after the toggle
+     */
+    async toggleSecret(dangerId, secretId) {
+      await locateDanger(dangerId);
+      const saved = await getApp().toggleSecret(dangerId, secretId);
+      if (!saved) throw new Error(localize('Error.ChangeRejected'));
+      const { danger } = await locateDanger(dangerId);
+      return clone(danger.secrets?.find(s => s.id === secretId) ?? null);
+    },
+
+    // -------------------------------------------------------------------------
+    // Editing
+    // -------------------------------------------------------------------------
+
+    /**
+     * @param {object} data  {name, type: 'campaign'|'adventure', cast, stakes}
+     * @returns {Promise<string>}  The new front's id
+     */
+    async addFront(data) {
+      await fronts();
+      const id = getApp().generateId('front');
+      await save([{
+        op: 'add',
+        path: 'fronts',
+        value: { ...createDefaults('front'), ...data, id }
+      }]);
+      return id;
+    },
+
+    /**
+     * @param {string} frontId
+     * @param {object} data  {name, dangerType, impulse, impendingDoom, grimPortents, secrets, locations}
+     * @returns {Promise<string>}  The new danger's id
+     */
+    async addDanger(frontId, data) {
+      const front = await locateFront(frontId);
+      const id = getApp().generateId('danger');
+      await save([{
+        op: 'add',
+        path: `fronts/${front.id}/dangers`,
+        value: { ...createDefaults('danger'), ...data, id }
+      }]);
+      return id;
+    },
+
+    /**
+     * @returns {Promise<string>}  The new portent's id
+     */
+    async addPortent(dangerId, text) {
+      const { front } = await locateDanger(dangerId);
+      const id = getApp().generateId('portent');
+      await save([{
+        op: 'add',
+        path: `fronts/${front.id}/dangers/${dangerId}/grimPortents`,
+        value: { ...createDefaults('portent'), id, text }
+      }]);
+      return id;
+    },
+
+    /**
+     * @param {string} dangerId
+     * @param {object} data  {text, xp}
+     * @returns {Promise<string>}  The new secret's id
+     */
+    async addSecret(dangerId, { text, xp = 30 }) {
+      const { front } = await locateDanger(dangerId);
+      const id = getApp().generateId('secret');
+      await save([{
+        op: 'add',
+        path: `fronts/${front.id}/dangers/${dangerId}/secrets`,
+        value: { ...createDefaults('secret'), id, xp, text }
+      }]);
+      return id;
+    },
+
+    /**
+     * Change fields of a front, e.g. `{name: 'Neuer Name'}`.
+     */
+    async updateFront(frontId, changes) {
+      const front = await locateFront(frontId);
+      await save(replaceFields(`fronts/${front.id}`, changes));
+    },
+
+    /**
+     * Change fields of a danger, e.g. `{impulse: '...', impendingDoom: '...'}`.
+     */
+    async updateDanger(dangerId, changes) {
+      const { front } = await locateDanger(dangerId);
+      await save(replaceFields(`fronts/${front.id}/dangers/${dangerId}`, changes));
+    },
+
+    /**
+     * @param {string} frontId
+     */
+    async deleteFront(frontId) {
+      const front = await locateFront(frontId);
+      await save([{ op: 'remove', path: `fronts/${front.id}` }]);
+    },
+
+    /**
+     * Change the status of a front, e.g. to archive it.
+     * @param {string} frontId
+     * @param {'active'|'dormant'|'resolved'|'doom'|'archived'} status
+     * @param {string} [outcome]  How it ended; keeps the current note if left out
+     */
+    async setFrontStatus(frontId, status, outcome) {
+      if (!FRONT_STATUSES.includes(status)) throw new Error(`Unknown front status: ${status}`);
+      const front = await locateFront(frontId);
+      const operations = statusOperations('front', `fronts/${front.id}`, front, status, outcome);
+      if (operations.length) await save(operations);
+    },
+
+    /**
+     * Change the status of a danger. Ending it records the portents and
+     * secrets that are still open.
+     * @param {string} dangerId
+     * @param {'active'|'dormant'|'thwarted'|'doom'} status
+     * @param {string} [outcome]  How it ended; keeps the current note if left out
+     */
+    async setDangerStatus(dangerId, status, outcome) {
+      if (!DANGER_STATUSES.includes(status)) throw new Error(`Unknown danger status: ${status}`);
+      const { front, danger } = await locateDanger(dangerId);
+      const operations = statusOperations('danger', `fronts/${front.id}/dangers/${dangerId}`, danger, status, outcome);
+      if (operations.length) await save(operations);
+    },
+
+    /**
+     * Apply raw operations, see operations.js for the format.
+     * @param {object[]} operations
+     */
+    async applyOperations(operations) {
+      await fronts();
+      await save(operations);
+    }
+  };
+
+  return api;
+}
@@ -0,0 +1,84 @@
+/**
+ * Change Log Window
+ * Lists every change made in this client since the log was last cleared
+ * and exports the list as Markdown for the recap notes.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { history, formatTime, logToMarkdown } from './history.js';
+import { confirmDialog } from './form-dialog.js';
+import { localize } from './i18n.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const LOG_ICONS = {
+  change: 'fa-pen',
+  undo: 'fa-rotate-left',
+  redo: 'fa-rotate-right'
+};
+
+export class ChangeLogApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'front-manager-change-log',
+    classes: ['front-manager', 'front-manager-change-log'],
+    window: {
+      title: 'FRONT_MANAGER.ChangeLog.Title',
+      icon: 'fas fa-list-check',
+      resizable: true
+    },
+    position: {
+      width: 420,
+      height: 500
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/change-log.hbs`
+    }
+  };
+
+  #unsubscribe = null;
+
+  async _prepareContext(options) {
+    const entries = history.log.reverse().map(entry => ({
+      time: formatTime(entry.time),
+      label: entry.label,
+      type: entry.type,
+      icon: LOG_ICONS[entry.type]
+    }));
+    return { entries };
+  }
+
+  _onFirstRender(context, options) {
+    this.#unsubscribe = history.onChange(() => this.render());
+    return super._onFirstRender(context, options);
+  }
+
+  _onClose(options) {
+    this.#unsubscribe?.();
+    this.#unsubscribe = null;
+    return super._onClose(options);
+  }
+
+  _onRender(context, options) {
+    this.element.querySelectorAll('[data-action="export-log"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        const date = new Date().toISOString().slice(0, 10);
+        foundry.utils.saveDataToFile(logToMarkdown(history.log), 'text/markdown', `front-manager-${date}.md`);
+      });
+    });
+
+    this.element.querySelectorAll('[data-action="clear-log"]').forEach(el => {
+      el.addEventListener('click', async ev => {
+        ev.preventDefault();
+        const confirmed = await confirmDialog(
+          localize('ChangeLog.ClearTitle'),
+          `<p>${localize('ChangeLog.ClearContent')}</p>`
+        );
+        if (confirmed) history.clearLog();
+      });
+    });
+  }
+}
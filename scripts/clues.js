@@ -0,0 +1,133 @@
+/**
+ * Secret Clues
+ * Each secret lists clues: the ways the players could learn it, in the
+ * style of Lazy-DM prep. A clue points at a cast member of the front, a
+ * location of the danger, or a Scene or JournalEntry, with an optional note
+ * on how the secret comes up there.
+ *
+ * Clues are objects {id, type, target, note}; `target` is the id of the cast
+ * member or location, or the UUID of the document.
+ */
+
+import { LINK_ICONS, documentType } from './entities.js';
+import { isEnded } from './lifecycle.js';
+import { localize } from './i18n.js';
+
+export const CLUE_TYPES = ['cast', 'location', 'document'];
+
+const CLUE_ICONS = {
+  cast: 'fa-user',
+  location: 'fa-map-marker-alt'
+};
+
+// ============================================================================
+// Form
+// ============================================================================
+
+/**
+ * The cast members and locations a clue of one of the danger's secrets can
+ * point at, as option groups. Values are `<type>:<target>`.
+ * @returns {{label: string, options: {value: string, label: string}[]}[]}
+ */
+export function clueTargetGroups(front, danger) {
+  return [
+    { label: localize('Cast'), type: 'cast', items: front.cast },
+    { label: localize('Locations'), type: 'location', items: danger.locations }
+  ]
+    .filter(group => group.items?.length)
+    .map(({ label, type, items }) => ({
+      label,
+      options: items.map(item => ({ value: `${type}:${item.id}`, label: item.name }))
+    }));
+}
+
+/**
+ * A clue as a row of the secret form: cast members and locations are picked
+ * in the select, documents are dropped onto the UUID field.
+ */
+export function clueFormRow(clue) {
+  const isDocument = clue.type === 'document';
+  return {
+    id: clue.id,
+    ref: isDocument ? '' : `${clue.type}:${clue.target}`,
+    uuid: isDocument ? clue.target : '',
+    note: clue.note
+  };
+}
+
+/**
+ * The type and target of a submitted clue row.
+ * @returns {{type: string, target: string}}
+ */
+export function clueTarget(row) {
+  if (!row.ref) return { type: 'document', target: row.uuid.trim() };
+  const index = row.ref.indexOf(':');
+  return { type: row.ref.slice(0, index), target: row.ref.slice(index + 1) };
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * What a clue points at, for display.
+ * @returns {{type: string, icon: string, name: string, uuid: string|null, missing: boolean, note: string}}
+ */
+export function describeClue(clue, front, danger) {
+  if (clue.type === 'document') {
+    const doc = fromUuidSync(clue.target);
+    return {
+      type: clue.type,
+      icon: LINK_ICONS[documentType(clue.target)] ?? 'fa-link',
+      name: doc?.name ?? localize('Clues.Missing'),
+      uuid: clue.target,
+      missing: !doc,
+      note: clue.note
+    };
+  }
+
+  const list = clue.type === 'cast' ? front.cast : danger.locations;
+  const entity = (list || []).find(item => item.id === clue.target);
+  return {
+    type: clue.type,
+    icon: CLUE_ICONS[clue.type],
+    name: entity?.name ?? localize('Clues.Missing'),
+    uuid: entity?.uuid ?? null,
+    missing: !entity,
+    note: clue.note
+  };
+}
+
+/**
+ * Every unrevealed secret of the fronts and dangers that have not ended,
+ * with its clues, grouped by front and danger.
+ * @param {object[]} fronts
+ * @returns {{fronts: object[], secrets: number, planned: number, withoutClues: number}}
+ */
+export function buildPrep(fronts) {
+  const prep = { fronts: [], secrets: 0, planned: 0, withoutClues: 0 };
+
+  for (const front of fronts) {
+    if (isEnded(front.status)) continue;
+
+    const dangers = front.dangers
+      .filter(danger => !isEnded(danger.status))
+      .map(danger => ({
+        id: danger.id,
+        name: danger.name,
+        secrets: danger.secrets
+          .filter(secret => !secret.revealed)
+          .map(secret => ({ ...secret, clues: secret.clues.map(clue => describeClue(clue, front, danger)) }))
+      }))
+      .filter(danger => danger.secrets.length);
+    if (!dangers.length) continue;
+
+    for (const secret of dangers.flatMap(danger => danger.secrets)) {
+      prep.secrets++;
+      if (secret.planned) prep.planned++;
+      if (!secret.clues.length) prep.withoutClues++;
+    }
+    prep.fronts.push({ id: front.id, name: front.name, dangers });
+  }
+  return prep;
+}
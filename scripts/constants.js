@@ -0,0 +1,6 @@
+/**
+ * Shared constants for the Front Manager module.
+ */
+
+export const MODULE_ID = 'front-manager';
+export const DEFAULT_SERVER_URL = 'http://localhost:3000';
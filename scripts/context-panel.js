@@ -0,0 +1,249 @@
+/**
+ * Context Panel
+ * A small floating window that shows what the fronts have to do with the
+ * Scene being viewed or the JournalEntry just opened: the dangers, their
+ * next grim portent and the secrets that are still unrevealed, so the GM
+ * can tick them off mid-session without opening the full tree.
+ *
+ * A danger belongs to a document when one of its locations links it (or a
+ * page of the journal), when a clue of one of its secrets points at it, or
+ * when the document lists the danger's id in its `dangers` flag:
+ *   scene.setFlag('front-manager', 'dangers', ['danger-...'])
+ */
+
+import { MODULE_ID } from './constants.js';
+import { sanitizeFronts } from './schema.js';
+import { isEnded } from './lifecycle.js';
+import { describeClue } from './clues.js';
+import { getDoomProgress } from './doom.js';
+import { format } from './i18n.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const PANEL_ID = 'front-manager-context';
+const PANEL_WIDTH = 320;
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Whether a link points at the document or, for a journal, at one of its pages.
+ */
+function linksTo(uuid, doc) {
+  return !!uuid && (uuid === doc.uuid || uuid.startsWith(`${doc.uuid}.JournalEntryPage.`));
+}
+
+/**
+ * The dangers of fronts that have not ended which belong to a Scene or
+ * JournalEntry, with their next open portent and unrevealed secrets. Secrets
+ * with a clue here come first.
+ * @param {object[]} fronts
+ * @param {Scene|JournalEntry} doc
+ * @returns {object[]}
+ */
+export function contextDangers(fronts, doc) {
+  const flagged = doc.getFlag(MODULE_ID, 'dangers') ?? [];
+
+  return sanitizeFronts(fronts)
+    .filter(front => !isEnded(front.status))
+    .flatMap(front => front.dangers
+      .filter(danger => !isEnded(danger.status))
+      .map(danger => {
+        const locations = danger.locations.filter(location => linksTo(location.uuid, doc));
+        const clueHere = clue => clue.type === 'document'
+          ? linksTo(clue.target, doc)
+          : clue.type === 'location' && locations.some(location => location.id === clue.target);
+
+        const secrets = danger.secrets
+          .filter(secret => !secret.revealed)
+          .map(secret => {
+            const here = secret.clues.filter(clueHere);
+            return {
+              id: secret.id,
+              text: secret.text,
+              here: here.length > 0,
+              notes: here.map(clue => describeClue(clue, front, danger).note).filter(Boolean)
+            };
+          })
+          .sort((a, b) => b.here - a.here);
+
+        const linked = locations.length > 0 || flagged.includes(danger.id);
+        if (!linked && !secrets.some(secret => secret.here)) return null;
+
+        return {
+          frontId: front.id,
+          frontName: front.name,
+          id: danger.id,
+          name: danger.name,
+          locations: locations.map(location => location.name).join(', '),
+          flagged: flagged.includes(danger.id),
+          doom: getDoomProgress(danger),
+          portent: danger.grimPortents.find(p => !p.completed) ?? null,
+          secrets
+        };
+      })
+      .filter(Boolean));
+}
+
+// ============================================================================
+// Panel Window
+// ============================================================================
+
+class ContextPanelApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: PANEL_ID,
+    classes: ['front-manager', 'front-manager-context'],
+    window: {
+      icon: 'fas fa-scroll',
+      resizable: true
+    },
+    position: {
+      width: PANEL_WIDTH,
+      height: 'auto',
+      top: 80
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/context-panel.hbs`
+    }
+  };
+
+  static #instance = null;
+
+  static get instance() {
+    return this.#instance;
+  }
+
+  static getInstance() {
+    // Next to the sidebar
+    this.#instance ??= new this({ position: { left: window.innerWidth - PANEL_WIDTH - 320 } });
+    return this.#instance;
+  }
+
+  #document = null;
+  #fronts = [];
+
+  get title() {
+    return format('Context.Title', { name: this.#document?.name ?? '' });
+  }
+
+  get document() {
+    return this.#document;
+  }
+
+  /**
+   * Show the panel for a document if any danger belongs to it.
+   * @param {Scene|JournalEntry} doc
+   * @param {object} [options]
+   * @param {boolean} [options.closeIfEmpty]  Close the panel when nothing belongs to it
+   */
+  async show(doc, { closeIfEmpty = false } = {}) {
+    let fronts;
+    try {
+      fronts = await game.modules.get(MODULE_ID).api.getFronts();
+    } catch (err) {
+      console.warn('[FrontManager] Context panel could not load the fronts:', err);
+      return;
+    }
+
+    if (!contextDangers(fronts, doc).length) {
+      if (closeIfEmpty && this.rendered) await this.close();
+      return;
+    }
+    this.#document = doc;
+    this.#fronts = fronts;
+    await this.render({ force: true });
+    this.bringToFront();
+  }
+
+  /**
+   * Show fronts data that changed elsewhere.
+   * @param {object[]} fronts
+   */
+  update(fronts) {
+    this.#fronts = foundry.utils.deepClone(fronts);
+    if (this.rendered) this.render();
+  }
+
+  async _prepareContext(options) {
+    return {
+      dangers: this.#document ? contextDangers(this.#fronts, this.#document) : []
+    };
+  }
+
+  _onRender(context, options) {
+    const html = this.element;
+    const api = game.modules.get(MODULE_ID).api;
+
+    html.querySelectorAll('[data-action="toggle-portent"]').forEach(el => {
+      el.addEventListener('change', ev => {
+        const { dangerId, portentId } = ev.currentTarget.dataset;
+        this.#toggle(() => api.togglePortent(dangerId, portentId));
+      });
+    });
+
+    html.querySelectorAll('[data-action="toggle-secret"]').forEach(el => {
+      el.addEventListener('change', ev => {
+        const { dangerId, secretId } = ev.currentTarget.dataset;
+        this.#toggle(() => api.toggleSecret(dangerId, secretId));
+      });
+    });
+
+    html.querySelectorAll('[data-action="open-front"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        api.open(ev.currentTarget.dataset.frontId);
+      });
+    });
+  }
+
+  async #toggle(action) {
+    this.element.querySelectorAll('input[type="checkbox"]').forEach(el => { el.disabled = true; });
+    try {
+      await action();
+    } catch (err) {
+      console.error('[FrontManager] Context panel toggle failed:', err);
+      ui.notifications.error(format('Notify.Error', { error: err.message }));
+    } finally {
+      this.render();
+    }
+  }
+
+  _onClose(options) {
+    this.#document = null;
+    return super._onClose(options);
+  }
+}
+
+// ============================================================================
+// Hooks
+// ============================================================================
+
+function enabled() {
+  return game.user.isGM && game.settings.get(MODULE_ID, 'contextPanel');
+}
+
+/**
+ * Open the context panel when the GM views a Scene or opens a JournalEntry
+ * that dangers belong to. Called from the init hook.
+ */
+export function registerContextPanel() {
+  Hooks.on('canvasReady', canvas => {
+    if (!enabled() || !canvas.scene) return;
+    // A scene without dangers closes the panel of the previous one
+    const panel = ContextPanelApp.getInstance();
+    panel.show(canvas.scene, { closeIfEmpty: panel.document instanceof Scene });
+  });
+
+  Hooks.on('renderJournalEntrySheet', (sheet, element, context, options) => {
+    if (!enabled() || !options.isFirstRender) return;
+    ContextPanelApp.getInstance().show(sheet.document);
+  });
+
+  Hooks.on('frontManager.frontsUpdated', fronts => {
+    ContextPanelApp.instance?.update(fronts);
+  });
+}
@@ -0,0 +1,117 @@
+/**
+ * Doom Clocks
+ * Shows how close a danger is to its impending doom as a progress clock with
+ * one segment per grim portent, and announces the doom once the last portent
+ * is completed.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { format } from './i18n.js';
+
+const CHAT_TEMPLATE = `modules/${MODULE_ID}/templates/chat-doom-reached.hbs`;
+const CLOCK_SIZE = 20;
+
+// ============================================================================
+// Progress
+// ============================================================================
+
+/**
+ * @returns {{segments: number, filled: number, arrived: boolean}}
+ */
+export function getDoomProgress(danger) {
+  const portents = danger.grimPortents || [];
+  const filled = portents.filter(p => p.completed).length;
+  return {
+    segments: portents.length,
+    filled,
+    arrived: portents.length > 0 && filled === portents.length
+  };
+}
+
+/**
+ * Progress of the front's most advanced danger, by share of completed
+ * portents. Thwarted dangers no longer count.
+ * @returns {{segments: number, filled: number, arrived: boolean, danger: string}|null}
+ */
+export function getFrontDoomProgress(front) {
+  let best = null;
+  for (const danger of front.dangers || []) {
+    if (danger.status === 'thwarted') continue;
+    const progress = getDoomProgress(danger);
+    if (!progress.segments) continue;
+
+    const ratio = progress.filled / progress.segments;
+    const bestRatio = best ? best.filled / best.segments : -1;
+    if (ratio > bestRatio || (ratio === bestRatio && progress.filled > best.filled)) {
+      best = { ...progress, danger: danger.name };
+    }
+  }
+  return best;
+}
+
+// ============================================================================
+// Clock Rendering
+// ============================================================================
+
+function point(angle, radius, center) {
+  // Start at twelve o'clock and go clockwise
+  const rad = (angle - 90) * Math.PI / 180;
+  return `${(center + radius * Math.cos(rad)).toFixed(2)} ${(center + radius * Math.sin(rad)).toFixed(2)}`;
+}
+
+/**
+ * Build the SVG markup of a progress clock.
+ * @param {{segments: number, filled: number, arrived: boolean}} progress
+ * @param {string} [title]  Tooltip text
+ * @returns {string}
+ */
+export function doomClockSvg(progress, title = '') {
+  if (!progress?.segments) return '';
+
+  const center = CLOCK_SIZE / 2;
+  const radius = center - 1;
+  const step = 360 / progress.segments;
+  const classes = ['doom-clock', progress.arrived ? 'arrived' : ''].filter(Boolean).join(' ');
+
+  let segments;
+  if (progress.segments === 1) {
+    const state = progress.filled ? 'filled' : 'empty';
+    segments = `<circle class="segment ${state}" cx="${center}" cy="${center}" r="${radius}"/>`;
+  } else {
+    segments = Array.from({ length: progress.segments }, (_, i) => {
+      const state = i < progress.filled ? 'filled' : 'empty';
+      const from = point(i * step, radius, center);
+      const to = point((i + 1) * step, radius, center);
+      const largeArc = step > 180 ? 1 : 0;
+      return `<path class="segment ${state}" d="M ${center} ${center} L ${from} A ${radius} ${radius} 0 ${largeArc} 1 ${to} Z"/>`;
+    }).join('');
+  }
+
+  const label = title ? `<title>${Handlebars.escapeExpression(title)}</title>` : '';
+  return `<svg class="${classes}" width="${CLOCK_SIZE}" height="${CLOCK_SIZE}" viewBox="0 0 ${CLOCK_SIZE} ${CLOCK_SIZE}">${label}${segments}</svg>`;
+}
+
+// ============================================================================
+// Impending Doom
+// ============================================================================
+
+/**
+ * The last grim portent of a danger was completed: tell the GM, post a
+ * GM-only chat card and let other modules react.
+ */
+export async function announceDoom(front, danger) {
+  ui.notifications.warn(format('Notify.DoomArrived', { danger: danger.name, doom: danger.impendingDoom }), { permanent: true });
+
+  try {
+    const content = await foundry.applications.handlebars.renderTemplate(CHAT_TEMPLATE, { front, danger });
+    await ChatMessage.create({
+      content,
+      speaker: ChatMessage.getSpeaker({ alias: front.name }),
+      whisper: ChatMessage.getWhisperRecipients('GM').map(u => u.id)
+    });
+  } catch (err) {
+    console.error('[FrontManager] Failed to post doom chat card:', err);
+  }
+
+  Hooks.callAll('frontManager.doomReached', { front, danger });
+}
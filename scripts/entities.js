@@ -0,0 +1,30 @@
+/**
+ * Cast and Locations
+ * Cast members and danger locations are objects {id, name, description, uuid},
+ * where `uuid` optionally links an Actor (cast) or a Scene or JournalEntry
+ * (locations). Secret clues link the same documents as locations. Older
+ * fronts store them as plain strings; schema.js migrates those when the
+ * fronts are loaded.
+ */
+
+// Document types that may be linked, per list
+export const LINK_TYPES = {
+  cast: ['Actor'],
+  locations: ['Scene', 'JournalEntry', 'JournalEntryPage']
+};
+
+export const LINK_ICONS = {
+  Actor: 'fa-user',
+  Scene: 'fa-map',
+  JournalEntry: 'fa-book-open',
+  JournalEntryPage: 'fa-file-lines'
+};
+
+/**
+ * The document type of a UUID, e.g. 'Actor' for 'Actor.abc' or
+ * 'Compendium.pf2e.bestiary.Actor.abc'.
+ */
+export function documentType(uuid) {
+  const parts = String(uuid ?? '').split('.');
+  return parts.length >= 2 ? parts.at(-2) : null;
+}
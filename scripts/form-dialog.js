@@ -0,0 +1,196 @@
+/**
+ * Form Dialog
+ * Editors are forms rendered from the templates in templates/dialogs, so
+ * everything the user typed is escaped by Handlebars. Fields are checked by
+ * the browser (required, min, max, ...) before the form is submitted; checks
+ * the browser cannot do are added with `data-validate` and `validators`.
+ *
+ * Lists the user can grow, e.g. the grim portents of a danger, are a
+ * container `[data-rows="<list>"]` with a `<template data-row-template="<list>">`
+ * whose fields use `__index__` in their names, an
+ * `[data-action="add-row"][data-list="<list>"]` button and
+ * `[data-action="remove-row"]` buttons in the rows.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { localize } from './i18n.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const FOOTER_TEMPLATE = `modules/${MODULE_ID}/templates/dialogs/footer.hbs`;
+
+export class FormDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    tag: 'form',
+    classes: ['front-manager', 'front-manager-form'],
+    window: {
+      minimizable: false
+    },
+    position: {
+      width: 420,
+      height: 'auto'
+    },
+    form: {
+      handler: FormDialog.#onSubmit,
+      closeOnSubmit: false
+    }
+  };
+
+  static PARTS = {
+    footer: {
+      template: FOOTER_TEMPLATE
+    }
+  };
+
+  #template;
+  #data;
+  #submit;
+  #cancel;
+  #validators;
+  #onRenderForm;
+  #resolve;
+
+  /**
+   * @param {object} config       See FormDialog.prompt
+   * @param {Function} resolve
+   * @param {object} [options]    Application options
+   */
+  constructor({ template, data = {}, submit = {}, cancel = {}, validators = {}, onRender = null }, resolve, options = {}) {
+    super(options);
+    this.#template = `modules/${MODULE_ID}/templates/dialogs/${template}.hbs`;
+    this.#data = data;
+    this.#submit = { label: localize('Dialog.Save'), icon: 'fa-save', ...submit };
+    this.#cancel = { label: localize('Dialog.Cancel'), icon: 'fa-times', ...cancel };
+    this.#validators = validators;
+    this.#onRenderForm = onRender;
+    this.#resolve = resolve;
+  }
+
+  /**
+   * Show a form and wait until it is submitted or closed.
+   * @param {object} config
+   * @param {string} config.title
+   * @param {string} [config.icon]         Font Awesome icon of the window, e.g. 'fa-pen'
+   * @param {string} config.template       Name of a template in templates/dialogs
+   * @param {object} [config.data]         Template data
+   * @param {object} [config.submit]       {label, icon} of the submit button
+   * @param {object} [config.cancel]       {label, icon} of the cancel button
+   * @param {object} [config.validators]   name => (value, input) => error message or null,
+   *                                       for inputs with `data-validate="<name>"`
+   * @param {Function} [config.onRender]   (form) => void, e.g. to add drop targets
+   * @param {number} [config.width]
+   * @returns {Promise<object|null>}       The form data, expanded (`a.b` becomes {a: {b}}),
+   *                                       or null if the form was closed without saving
+   */
+  static prompt({ title, icon, width, ...config }) {
+    return new Promise(resolve => new FormDialog(config, resolve, {
+      window: { title, icon: icon ? `fas ${icon}` : undefined },
+      position: width ? { width } : {}
+    }).render({ force: true }));
+  }
+
+  _configureRenderParts(options) {
+    return {
+      form: { template: this.#template },
+      ...super._configureRenderParts(options)
+    };
+  }
+
+  async _prepareContext(options) {
+    return { ...this.#data, submit: this.#submit, cancel: this.#cancel };
+  }
+
+  _onFirstRender(context, options) {
+    // Delegated, so rows added later are covered too
+    this.element.addEventListener('input', ev => this.#validate(ev.target));
+    this.element.addEventListener('click', ev => {
+      const button = ev.target.closest('[data-action="remove-row"]');
+      if (!button) return;
+      ev.preventDefault();
+      button.closest('[data-row]').remove();
+    });
+  }
+
+  _onRender(context, options) {
+    const form = this.element;
+
+    form.querySelectorAll('[data-validate]').forEach(el => this.#validate(el));
+
+    form.querySelectorAll('[data-action="add-row"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        this.#addRow(ev.currentTarget.dataset.list);
+      });
+    });
+
+    form.querySelectorAll('[data-action="cancel"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        this.close();
+      });
+    });
+
+    this.#onRenderForm?.(form);
+    form.querySelector('[autofocus]')?.focus();
+  }
+
+  #validate(input) {
+    const validator = this.#validators[input?.dataset?.validate];
+    if (!validator) return;
+    input.setCustomValidity(validator(input.value.trim(), input) ?? '');
+  }
+
+  #addRow(list) {
+    const template = this.element.querySelector(`template[data-row-template="${list}"]`);
+    const container = this.element.querySelector(`[data-rows="${list}"]`);
+    if (!template || !container) return;
+
+    // Indices only need to be unique; rows keep the order they have in the form
+    const index = Math.max(-1, ...[...container.querySelectorAll('[data-row]')].map(row => Number(row.dataset.row))) + 1;
+    container.insertAdjacentHTML('beforeend', template.innerHTML.replaceAll('__index__', index));
+    const row = container.lastElementChild;
+    row.querySelectorAll('[data-validate]').forEach(el => this.#validate(el));
+    row.querySelector('input, textarea')?.focus();
+  }
+
+  static async #onSubmit(event, form, formData) {
+    this.#finish(foundry.utils.expandObject(formData.object));
+  }
+
+  #finish(result) {
+    this.#resolve?.(result);
+    this.#resolve = null;
+    this.close();
+  }
+
+  _onClose(options) {
+    this.#resolve?.(null);
+    this.#resolve = null;
+    return super._onClose(options);
+  }
+}
+
+/**
+ * The rows of a growable list in submitted form data, in form order.
+ * @param {object|undefined} rows  e.g. {0: {...}, 3: {...}}
+ * @returns {object[]}
+ */
+export function formRows(rows) {
+  return Object.entries(rows ?? {})
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .map(([, row]) => row);
+}
+
+/**
+ * Ask a yes/no question. Pass the content through Handlebars.escapeExpression
+ * where it contains user text.
+ * @returns {Promise<boolean>}
+ */
+export async function confirmDialog(title, content) {
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: { title },
+    content,
+    rejectClose: false
+  });
+  return confirmed === true;
+}
@@ -0,0 +1,243 @@
+/**
+ * Relationship Graph
+ * Shows how the fronts interlock as a node graph: fronts, dangers, cast
+ * members and locations, connected by membership and by secret clues. A cast
+ * member or location that appears in several places is one node, matched by
+ * its linked document or, without a link, by its name, so shared NPCs and
+ * places stand out.
+ *
+ * The layout is a small force simulation run once per render; it is
+ * deterministic, so the graph keeps its shape across re-renders.
+ */
+
+import { getDoomProgress, getFrontDoomProgress } from './doom.js';
+import { isEnded } from './lifecycle.js';
+import { localize, format } from './i18n.js';
+
+const NODE_RADIUS = {
+  front: 16,
+  danger: 12,
+  cast: 8,
+  location: 8
+};
+
+const ITERATIONS = 300;
+const REPULSION = 4000;
+const SPRING = 0.04;
+const EDGE_LENGTH = 70;
+const GRAVITY = 0.01;
+const PADDING = 40;
+
+// ============================================================================
+// Nodes and Edges
+// ============================================================================
+
+/**
+ * How far a front or danger is towards its doom, for colour coding.
+ * @returns {'none'|'calm'|'rising'|'grave'|'doom'}
+ */
+function progressBand(progress) {
+  if (!progress?.segments) return 'none';
+  if (progress.arrived) return 'doom';
+  const ratio = progress.filled / progress.segments;
+  if (ratio === 0) return 'calm';
+  return ratio < 0.5 ? 'rising' : 'grave';
+}
+
+function nameOf(item) {
+  return String(item.name ?? '').trim();
+}
+
+/**
+ * Cast members and locations are the same node wherever they appear if they
+ * link the same document or, without a link, have the same name.
+ * @returns {string}  Empty for an entity with neither
+ */
+function entityKey(entity) {
+  return entity.uuid || nameOf(entity).toLowerCase();
+}
+
+/**
+ * The nodes and edges of the fronts, without positions.
+ * @param {object[]} fronts  Sanitized fronts
+ * @returns {{nodes: object[], edges: object[]}}
+ */
+function graphData(fronts) {
+  const nodes = new Map();
+  const edges = new Map();
+
+  const addNode = (id, node) => {
+    if (!nodes.has(id)) nodes.set(id, { id, ...node, owners: new Set() });
+    return nodes.get(id);
+  };
+  const addEdge = (from, to, type) => {
+    const id = [from, to].sort().join('|');
+    // A membership edge wins over a clue between the same nodes
+    if (!edges.has(id) || type === 'member') edges.set(id, { id, from, to, type });
+  };
+
+  for (const front of fronts) {
+    const frontNode = `front:${front.id}`;
+    addNode(frontNode, {
+      kind: 'front',
+      label: nameOf(front),
+      band: progressBand(getFrontDoomProgress(front)),
+      ended: isEnded(front.status),
+      frontId: front.id
+    });
+
+    const castNodes = new Map();
+    for (const member of front.cast) {
+      if (!entityKey(member)) continue;
+      const id = `cast:${entityKey(member)}`;
+      addNode(id, { kind: 'cast', label: nameOf(member), frontId: front.id }).owners.add(front.id);
+      castNodes.set(member.id, id);
+      addEdge(frontNode, id, 'member');
+    }
+
+    for (const danger of front.dangers) {
+      const dangerNode = `danger:${danger.id}`;
+      const progress = getDoomProgress(danger);
+      addNode(dangerNode, {
+        kind: 'danger',
+        label: nameOf(danger),
+        band: progressBand(progress),
+        progress,
+        ended: isEnded(danger.status),
+        frontId: front.id,
+        dangerId: danger.id
+      });
+      addEdge(frontNode, dangerNode, 'member');
+
+      const locationNodes = new Map();
+      for (const location of danger.locations) {
+        if (!entityKey(location)) continue;
+        const id = `location:${entityKey(location)}`;
+        addNode(id, { kind: 'location', label: nameOf(location), frontId: front.id, dangerId: danger.id })
+          .owners.add(danger.id);
+        locationNodes.set(location.id, id);
+        addEdge(dangerNode, id, 'member');
+      }
+
+      // Secrets that can be learned from a cast member or location tie it to the danger
+      for (const clue of danger.secrets.filter(s => !s.revealed).flatMap(s => s.clues)) {
+        const target = clue.type === 'cast' ? castNodes.get(clue.target) : locationNodes.get(clue.target);
+        if (target) addEdge(dangerNode, target, 'clue');
+      }
+    }
+  }
+
+  return {
+    nodes: [...nodes.values()].map(({ owners, ...node }) => ({ ...node, shared: owners.size > 1 })),
+    edges: [...edges.values()]
+  };
+}
+
+// ============================================================================
+// Layout
+// ============================================================================
+
+/**
+ * Place the nodes with a force simulation: nodes push each other apart,
+ * edges pull them together and a weak gravity keeps separate fronts close.
+ * Starts from a spiral, so the same data always gives the same layout.
+ */
+function layout(nodes, edges) {
+  const index = new Map(nodes.map((node, i) => [node.id, i]));
+  const pos = nodes.map((node, i) => {
+    const angle = i * 2.39996;
+    const radius = 30 * Math.sqrt(i + 1);
+    return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+  });
+  const links = edges.map(edge => [index.get(edge.from), index.get(edge.to)]);
+
+  for (let step = 0; step < ITERATIONS; step++) {
+    const force = pos.map(() => ({ x: 0, y: 0 }));
+
+    for (let i = 0; i < pos.length; i++) {
+      for (let j = i + 1; j < pos.length; j++) {
+        const dx = pos[i].x - pos[j].x;
+        const dy = pos[i].y - pos[j].y;
+        const dist2 = Math.max(dx * dx + dy * dy, 1);
+        const dist = Math.sqrt(dist2);
+        const push = REPULSION / dist2;
+        force[i].x += dx / dist * push;
+        force[i].y += dy / dist * push;
+        force[j].x -= dx / dist * push;
+        force[j].y -= dy / dist * push;
+      }
+    }
+
+    for (const [a, b] of links) {
+      const dx = pos[b].x - pos[a].x;
+      const dy = pos[b].y - pos[a].y;
+      const dist = Math.max(Math.hypot(dx, dy), 1);
+      const pull = (dist - EDGE_LENGTH) * SPRING;
+      force[a].x += dx / dist * pull;
+      force[a].y += dy / dist * pull;
+      force[b].x -= dx / dist * pull;
+      force[b].y -= dy / dist * pull;
+    }
+
+    // Cool down, so the nodes settle
+    const limit = 20 * (1 - step / ITERATIONS) + 0.5;
+    pos.forEach((p, i) => {
+      const fx = force[i].x - p.x * GRAVITY;
+      const fy = force[i].y - p.y * GRAVITY;
+      const length = Math.hypot(fx, fy);
+      const scale = length > limit ? limit / length : 1;
+      p.x += fx * scale;
+      p.y += fy * scale;
+    });
+  }
+
+  return pos;
+}
+
+/**
+ * The graph of the fronts, laid out for rendering as SVG.
+ * @param {object[]} fronts  Sanitized fronts
+ * @returns {{nodes: object[], edges: object[], viewBox: string, empty: boolean}}
+ */
+export function buildGraph(fronts) {
+  const { nodes, edges } = graphData(fronts);
+  if (!nodes.length) return { nodes, edges, viewBox: '0 0 100 100', empty: true };
+
+  const pos = layout(nodes, edges);
+  const placed = nodes.map((node, i) => ({
+    ...node,
+    x: pos[i].x.toFixed(1),
+    y: pos[i].y.toFixed(1),
+    r: NODE_RADIUS[node.kind],
+    title: nodeTitle(node)
+  }));
+  const byId = new Map(placed.map(node => [node.id, node]));
+
+  const xs = pos.map(p => p.x);
+  const ys = pos.map(p => p.y);
+  const minX = Math.min(...xs) - PADDING;
+  const minY = Math.min(...ys) - PADDING;
+  const width = Math.max(...xs) - minX + PADDING;
+  const height = Math.max(...ys) - minY + PADDING;
+
+  return {
+    nodes: placed,
+    edges: edges.map(edge => ({
+      ...edge,
+      x1: byId.get(edge.from).x,
+      y1: byId.get(edge.from).y,
+      x2: byId.get(edge.to).x,
+      y2: byId.get(edge.to).y
+    })),
+    viewBox: [minX, minY, width, height].map(n => n.toFixed(1)).join(' '),
+    empty: false
+  };
+}
+
+function nodeTitle(node) {
+  const kind = localize(`Graph.${node.kind}`);
+  const lines = [`${kind}: ${node.label}`];
+  if (node.progress?.segments) lines.push(format('Graph.Progress', node.progress));
+  if (node.shared) lines.push(localize('Graph.Shared'));
+  return lines.join('\n');
+}
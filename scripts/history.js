@@ -0,0 +1,283 @@
+/**
+ * Undo History and Change Log
+ * Every change made in this client is recorded with what undoes it: the
+ * inverse operations for edits, or the same toggle again for portents and
+ * secrets. The change log keeps a readable line per change, including undos
+ * and redos, for the recap notes after the session. Undo only covers this
+ * client's session; the log is kept in the GM's browser, per world, until it
+ * is cleared, so a reload does not lose it. Like the fronts, its lines name
+ * unrevealed secrets, so players never store it.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { kindLabel, fieldLabel } from './labels.js';
+import { localize, format } from './i18n.js';
+
+const MAX_UNDO = 100;
+const MAX_LOG = 500;
+const MAX_NAME_LENGTH = 40;
+
+// ============================================================================
+// Describing Changes
+// ============================================================================
+
+function shorten(text) {
+  const value = String(text ?? '').trim();
+  return value.length > MAX_NAME_LENGTH ? `${value.slice(0, MAX_NAME_LENGTH - 1)}…` : value;
+}
+
+function nameOf(item) {
+  if (item === null || item === undefined) return '';
+  if (typeof item !== 'object') return shorten(item);
+  return shorten(item.name ?? item.text ?? item.id);
+}
+
+/**
+ * Walk a path and return the innermost list item on it, the list it is in
+ * and the field below it, e.g. for fronts/f1/dangers/d1/impulse the danger
+ * d1, 'dangers' and 'impulse'.
+ */
+function locate(data, path) {
+  const segments = path.split('/').filter(Boolean);
+  let node = data;
+  let item = null;
+  let kind = null;
+  let field = null;
+
+  segments.forEach((segment, i) => {
+    if (Array.isArray(node)) {
+      const found = node.find(x => x && typeof x === 'object' && String(x.id) === segment)
+        ?? (/^\d+$/.test(segment) ? node[Number(segment)] : undefined);
+      item = found;
+      kind = segments[i - 1];
+      field = null;
+      node = found;
+    } else {
+      field = segment;
+      node = node?.[segment];
+    }
+  });
+
+  return { item, kind, field };
+}
+
+function entityLabel(kind, item) {
+  const label = kind ? kindLabel(kind) : localize('Kind.entry');
+  const name = nameOf(item);
+  return name ? format('History.Named', { label, name }) : label;
+}
+
+/**
+ * A readable description of operations that are about to be applied,
+ * e.g. 'Danger „Der Kult": Impulse geändert'.
+ * @param {object} data        Fronts document before the change
+ * @param {object[]} operations
+ * @returns {string}
+ */
+export function describeOperations(data, operations) {
+  const [first, second] = operations;
+  if (!first) return localize('History.NoChange');
+
+  // Moves are a remove followed by an add of the same item
+  if (operations.length === 2 && first.op === 'remove' && second.op === 'add') {
+    const { item, kind } = locate(data, first.path);
+    if (item === second.value) return format('History.Moved', { entity: entityLabel(kind, item) });
+  }
+
+  const { item, kind, field } = locate(data, first.path);
+  let text;
+  switch (first.op) {
+    case 'add':
+      text = format('History.Added', { entity: entityLabel(field, first.value) });
+      break;
+    case 'remove':
+      text = field
+        ? format('History.FieldRemoved', { entity: entityLabel(kind, item), field: fieldLabel(field) })
+        : format('History.Deleted', { entity: entityLabel(kind, item) });
+      break;
+    default:
+      text = field
+        ? format('History.FieldChanged', { entity: entityLabel(kind, item), field: fieldLabel(field) })
+        : format('History.Changed', { entity: entityLabel(kind, item) });
+  }
+
+  // Several fields of one entity are usually one edit, e.g. a secret's text and XP
+  if (operations.length > 1 && first.op === 'replace' && field) {
+    const others = operations.slice(1).map(op => locate(data, op.path));
+    if (others.every(other => other.item === item)) text = format('History.Edited', { entity: entityLabel(kind, item) });
+    else text += ` (+${operations.length - 1})`;
+  } else if (operations.length > 1) {
+    text += ` (+${operations.length - 1})`;
+  }
+  return text;
+}
+
+/**
+ * Description of a portent or secret after it was toggled.
+ * @param {'secret'|'portent'} type
+ */
+export function describeToggle(type, item) {
+  if (type === 'secret') {
+    return format(item.revealed ? 'History.SecretRevealed' : 'History.SecretHidden', { entity: entityLabel('secrets', item) });
+  }
+  return format(item.completed ? 'History.PortentCompleted' : 'History.PortentReopened', { entity: entityLabel('grimPortents', item) });
+}
+
+// ============================================================================
+// Stored Log
+// ============================================================================
+
+function logKey() {
+  return `${MODULE_ID}.${game.world.id}.changeLog`;
+}
+
+function loadLog() {
+  if (!game.user?.isGM) return [];
+  try {
+    return JSON.parse(localStorage.getItem(logKey())) ?? [];
+  } catch (err) {
+    console.warn('[FrontManager] Ignoring unreadable change log:', err);
+    return [];
+  }
+}
+
+function storeLog(log) {
+  if (!game.user?.isGM) return;
+  try {
+    localStorage.setItem(logKey(), JSON.stringify(log));
+  } catch (err) {
+    // Usually the storage quota of the browser
+    console.error('[FrontManager] Could not store the change log:', err);
+  }
+}
+
+// ============================================================================
+// History
+// ============================================================================
+
+/**
+ * Entries are {label, operations, inverse} for edits and {label, toggle}
+ * for toggles, where `toggle` is {type: 'secret'|'portent', dangerId, id}.
+ */
+class History {
+  #undo = [];
+  #redo = [];
+  // Loaded on first use, the world is not known before
+  #log = null;
+  #listeners = new Set();
+
+  get canUndo() {
+    return this.#undo.length > 0;
+  }
+
+  get canRedo() {
+    return this.#redo.length > 0;
+  }
+
+  get log() {
+    return [...this.#entries];
+  }
+
+  get #entries() {
+    this.#log ??= loadLog();
+    return this.#log;
+  }
+
+  /**
+   * Record a new change. Clears the redo stack.
+   */
+  record(entry) {
+    this.#undo.push(entry);
+    if (this.#undo.length > MAX_UNDO) this.#undo.shift();
+    this.#redo = [];
+    this.#addLog(entry.label, 'change');
+  }
+
+  /**
+   * The change an undo would revert. Call `undone` once it has been
+   * reverted, or `discard` if that is no longer possible.
+   */
+  peekUndo() {
+    return this.#undo.at(-1) ?? null;
+  }
+
+  peekRedo() {
+    return this.#redo.at(-1) ?? null;
+  }
+
+  undone(entry) {
+    this.#undo.pop();
+    this.#redo.push(entry);
+    this.#addLog(entry.label, 'undo');
+  }
+
+  redone(entry) {
+    this.#redo.pop();
+    this.#undo.push(entry);
+    this.#addLog(entry.label, 'redo');
+  }
+
+  /**
+   * Drop an entry that can no longer be applied, e.g. because the item it
+   * refers to was deleted by someone else.
+   */
+  discard(entry) {
+    this.#undo = this.#undo.filter(e => e !== entry);
+    this.#redo = this.#redo.filter(e => e !== entry);
+    this.#notify();
+  }
+
+  clearLog() {
+    this.#log = [];
+    storeLog(this.#log);
+    this.#notify();
+  }
+
+  onChange(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  #addLog(label, type) {
+    this.#entries.push({ time: Date.now(), label, type });
+    if (this.#log.length > MAX_LOG) this.#log.splice(0, this.#log.length - MAX_LOG);
+    storeLog(this.#log);
+    this.#notify();
+  }
+
+  #notify() {
+    for (const listener of this.#listeners) listener();
+  }
+}
+
+export const history = new History();
+
+// ============================================================================
+// Export
+// ============================================================================
+
+// Keys for undos and redos, under FRONT_MANAGER.History
+const LOG_FORMATS = {
+  undo: 'Undone',
+  redo: 'Redone'
+};
+
+export function formatTime(time) {
+  return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+export function formatLogEntry(entry) {
+  const key = LOG_FORMATS[entry.type];
+  const label = key ? format(`History.${key}`, { label: entry.label }) : entry.label;
+  return `${formatTime(entry.time)} — ${label}`;
+}
+
+/**
+ * The change log as a Markdown list, for the session recap.
+ * @returns {string}
+ */
+export function logToMarkdown(log) {
+  const date = log.length ? new Date(log[0].time) : new Date();
+  const lines = log.map(entry => `- ${formatLogEntry(entry)}`);
+  return `# ${format('History.LogTitle', { date: date.toLocaleDateString() })}\n\n${lines.join('\n')}\n`;
+}
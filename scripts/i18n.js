@@ -0,0 +1,21 @@
+/**
+ * Localization
+ * Shorthands for the `FRONT_MANAGER.*` strings in lang/de.json and
+ * lang/en.json. Only call them once the game is initialized, i.e. not at
+ * module level.
+ */
+
+/**
+ * @param {string} key  Without the FRONT_MANAGER prefix, e.g. 'Notify.Saved'
+ */
+export function localize(key) {
+  return game.i18n.localize(`FRONT_MANAGER.${key}`);
+}
+
+/**
+ * @param {string} key   Without the FRONT_MANAGER prefix
+ * @param {object} data  Values for the {placeholders} in the string
+ */
+export function format(key, data) {
+  return game.i18n.format(`FRONT_MANAGER.${key}`, data);
+}
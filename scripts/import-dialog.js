@@ -0,0 +1,151 @@
+/**
+ * Import Dialog
+ * Reads fronts from a JSON export or a Markdown outline (file or pasted
+ * text), shows what would change and imports them merged or replacing all
+ * fronts.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { parseJson, parseMarkdown, normalizeFronts, previewImport, importOperations } from './transfer.js';
+import { validateFronts } from './schema.js';
+import { confirmDialog } from './form-dialog.js';
+import { localize, format } from './i18n.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class ImportApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'front-manager-import',
+    classes: ['front-manager', 'front-manager-import'],
+    window: {
+      title: 'FRONT_MANAGER.Import.Title',
+      icon: 'fas fa-file-import',
+      resizable: true
+    },
+    position: {
+      width: 560,
+      height: 'auto'
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/import.hbs`
+    }
+  };
+
+  #generateId;
+  #apply;
+  #text = '';
+  #fileName = '';
+  #mode = 'merge';
+  #result = null;
+
+  /**
+   * @param {object} options
+   * @param {Function} options.generateId  (prefix) => unique id
+   * @param {Function} options.apply       (operations, label) => Promise<boolean>
+   */
+  constructor({ generateId, apply, ...options } = {}) {
+    super(options);
+    this.#generateId = generateId;
+    this.#apply = apply;
+  }
+
+  async _prepareContext(options) {
+    return {
+      text: this.#text,
+      fileName: this.#fileName,
+      mode: this.#mode,
+      result: this.#result,
+      canImport: !!this.#result?.fronts.length && !this.#result.errors.length
+    };
+  }
+
+  _onRender(context, options) {
+    const html = this.element;
+
+    html.querySelector('input[name="file"]')?.addEventListener('change', async ev => {
+      const file = ev.currentTarget.files[0];
+      if (!file) return;
+      this.#fileName = file.name;
+      this.#text = await file.text();
+      await this.#updatePreview();
+    });
+
+    html.querySelector('textarea[name="text"]')?.addEventListener('change', async ev => {
+      this.#fileName = '';
+      this.#text = ev.currentTarget.value;
+      await this.#updatePreview();
+    });
+
+    html.querySelector('[data-action="preview"]')?.addEventListener('click', async ev => {
+      ev.preventDefault();
+      this.#fileName = '';
+      this.#text = html.querySelector('textarea[name="text"]').value;
+      await this.#updatePreview();
+    });
+
+    html.querySelectorAll('input[name="mode"]').forEach(el => {
+      el.addEventListener('change', async ev => {
+        this.#mode = ev.currentTarget.value;
+        await this.#updatePreview();
+      });
+    });
+
+    html.querySelector('[data-action="import"]')?.addEventListener('click', ev => {
+      ev.preventDefault();
+      this.#import();
+    });
+  }
+
+  /**
+   * JSON if the file says so or the text looks like it, Markdown otherwise.
+   */
+  #parse() {
+    const isJson = /\.json$/i.test(this.#fileName) || /^\s*[[{]/.test(this.#text);
+    return isJson ? parseJson(this.#text) : parseMarkdown(this.#text);
+  }
+
+  async #updatePreview() {
+    if (!this.#text.trim()) {
+      this.#result = null;
+      return this.render();
+    }
+
+    const { fronts, errors, warnings } = this.#parse();
+    const normalized = errors.length ? [] : normalizeFronts(fronts, this.#generateId);
+    errors.push(...validateFronts(normalized).map(issue => issue.message));
+
+    const existing = await game.modules.get(MODULE_ID).api.getFronts();
+    this.#result = {
+      fronts: normalized,
+      errors,
+      warnings,
+      preview: errors.length ? [] : previewImport(existing, normalized, this.#mode),
+      removed: this.#mode === 'replace' ? existing.length : 0
+    };
+    this.render();
+  }
+
+  async #import() {
+    const fronts = this.#result?.fronts;
+    if (!fronts?.length || this.#result.errors.length) return;
+
+    if (this.#mode === 'replace') {
+      const confirmed = await confirmDialog(
+        localize('Import.ReplaceTitle'),
+        `<p>${format('Import.ReplaceContent', { removed: this.#result.removed, imported: fronts.length })}</p>`
+      );
+      if (!confirmed) return;
+    }
+
+    const existing = await game.modules.get(MODULE_ID).api.getFronts();
+    const operations = importOperations(existing, fronts, this.#mode);
+    const label = format(fronts.length === 1 ? 'Import.DoneOne' : 'Import.Done', { count: fronts.length });
+    if (!await this.#apply(operations, label)) return;
+
+    ui.notifications.info(label);
+    this.close();
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Labels
+ * Display names for the lists and fields of the fronts document, shared by
+ * the merge dialog, the change log and the schema validation. The names are
+ * in the language files under FRONT_MANAGER.Kind and FRONT_MANAGER.Field.
+ */
+
+import { localize } from './i18n.js';
+
+// Lists with a label, keyed by the property that holds them
+const ENTITY_KINDS = [
+  'fronts', 'dangers', 'grimPortents', 'secrets', 'playerHooks', 'cast', 'stakes', 'locations', 'clues'
+];
+
+const FIELDS = [
+  'id', 'name', 'type', 'dangerType', 'cast', 'stakes', 'playerHooks', 'impulse', 'impendingDoom',
+  'dangers', 'grimPortents', 'secrets', 'locations', 'text', 'xp', 'revealed', 'revealedAt',
+  'revealedSession', 'completed', 'completedAt', 'completedSession', 'actorUuid', 'description',
+  'uuid', 'schemaVersion', 'status', 'outcome', 'resolvedAt', 'resolvedSession', 'openPortents',
+  'openSecrets', 'planned', 'clues', 'target', 'note'
+];
+
+/**
+ * The name of one item of a list, e.g. 'Danger' for 'dangers'.
+ * @param {string} kind  The property that holds the list
+ */
+export function kindLabel(kind) {
+  return ENTITY_KINDS.includes(kind) ? localize(`Kind.${kind}`) : kind;
+}
+
+export function fieldLabel(field) {
+  return FIELDS.includes(field) ? localize(`Field.${field}`) : field;
+}
@@ -0,0 +1,86 @@
+/**
+ * Front Lifecycle
+ * Fronts and dangers have a status and an outcome note. A danger that ends
+ * (thwarted or doom) keeps a record of the grim portents and secrets that
+ * were still open, so the archive shows what never came to pass. Archived
+ * fronts only appear in the archive view.
+ */
+
+import { eventStamp } from './sessions.js';
+import { localize } from './i18n.js';
+
+export const FRONT_STATUSES = ['active', 'dormant', 'resolved', 'doom', 'archived'];
+export const DANGER_STATUSES = ['active', 'dormant', 'thwarted', 'doom'];
+
+// Statuses that end a front or danger
+const ENDED = ['resolved', 'thwarted', 'doom', 'archived'];
+
+export function isEnded(status) {
+  return ENDED.includes(status);
+}
+
+export function isArchived(front) {
+  return front.status === 'archived';
+}
+
+/**
+ * Whether the wizard and the doom clocks should still move a danger on.
+ */
+export function isActive(front, danger) {
+  return (front.status ?? 'active') === 'active' && (danger.status ?? 'active') === 'active';
+}
+
+export function statusLabel(status) {
+  return localize(`Status.${status}`);
+}
+
+/**
+ * Options for the status select of a front or danger.
+ * @param {'front'|'danger'} kind
+ */
+export function statusOptions(kind, current) {
+  return (kind === 'front' ? FRONT_STATUSES : DANGER_STATUSES).map(value => ({
+    value,
+    label: statusLabel(value),
+    selected: value === (current ?? 'active')
+  }));
+}
+
+/**
+ * What a danger leaves open when it ends now.
+ * @returns {{portents: string[], secrets: string[]}}
+ */
+export function openItems(danger) {
+  return {
+    portents: (danger.grimPortents || []).filter(p => !p.completed).map(p => p.text),
+    secrets: (danger.secrets || []).filter(s => !s.revealed).map(s => s.text)
+  };
+}
+
+/**
+ * Operations that change the status and outcome of a front or danger. The
+ * time, session and open items are recorded when it ends and cleared when it
+ * is taken up again; moving between two ended statuses keeps the record.
+ * @param {'front'|'danger'} kind
+ * @param {string} path    Path of the front or danger
+ * @param {object} item    The front or danger
+ * @param {string} status
+ * @param {string} [outcome]  Keeps the current outcome if left out
+ * @returns {object[]}
+ */
+export function statusOperations(kind, path, item, status, outcome = item.outcome ?? '') {
+  const changes = { status, outcome };
+  const ended = isEnded(status);
+  if (ended !== isEnded(item.status)) {
+    Object.assign(changes, eventStamp('status', ended));
+    if (kind === 'danger') {
+      const open = ended ? openItems(item) : { portents: [], secrets: [] };
+      changes.openPortents = open.portents;
+      changes.openSecrets = open.secrets;
+    }
+  }
+
+  return Object.entries(changes)
+    .filter(([key, value]) => JSON.stringify(item[key]) !== JSON.stringify(value))
+    .map(([key, value]) => ({ op: 'replace', path: `${path}/${key}`, value }));
+}
@@ -0,0 +1,96 @@
+/**
+ * Live Updates
+ * Subscribes to the server-sent events stream next to /api/fronts so that
+ * changes made on the MCP side show up without a manual refresh.
+ *
+ * The server sends JSON messages of the form
+ *   {type: 'patch', operations: [...], revision, source}
+ *   {type: 'fronts', fronts: [...], revision, source}
+ * where `source` is the client id of whoever made the change.
+ */
+
+import { getEventsUrl, CLIENT_ID } from './server.js';
+
+const INITIAL_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+
+export class LiveConnection {
+  #source = null;
+  #retryDelay = INITIAL_RETRY_DELAY;
+  #retryTimer = null;
+  #connectedOnce = false;
+  #closed = true;
+  #onMessage;
+  #onStatus;
+
+  /**
+   * @param {object} handlers
+   * @param {Function} handlers.onMessage  Called with every message from another client
+   * @param {Function} handlers.onStatus   Called with (status, {reconnected}) on status changes
+   */
+  constructor({ onMessage, onStatus }) {
+    this.#onMessage = onMessage;
+    this.#onStatus = onStatus;
+  }
+
+  get connected() {
+    return this.#source?.readyState === EventSource.OPEN;
+  }
+
+  connect() {
+    this.#closed = false;
+    clearTimeout(this.#retryTimer);
+    this.#source?.close();
+
+    let source;
+    try {
+      source = new EventSource(getEventsUrl());
+    } catch (err) {
+      console.error('[FrontManager] Invalid live update URL:', err);
+      return;
+    }
+    this.#source = source;
+
+    source.onopen = () => {
+      const reconnected = this.#connectedOnce;
+      this.#connectedOnce = true;
+      this.#retryDelay = INITIAL_RETRY_DELAY;
+      console.debug('[FrontManager] Live updates connected');
+      this.#onStatus?.('connected', { reconnected });
+    };
+
+    source.onmessage = ev => {
+      let message;
+      try {
+        message = JSON.parse(ev.data);
+      } catch (err) {
+        console.warn('[FrontManager] Ignoring malformed live update:', ev.data);
+        return;
+      }
+      if (message.source && message.source === CLIENT_ID) return;
+      this.#onMessage?.(message);
+    };
+
+    // EventSource retries on its own with a fixed delay; we want a backoff
+    source.onerror = () => {
+      source.close();
+      if (this.#closed) return;
+      this.#onStatus?.('disconnected', { reconnected: false });
+      this.#scheduleReconnect();
+    };
+  }
+
+  #scheduleReconnect() {
+    const delay = this.#retryDelay;
+    this.#retryDelay = Math.min(this.#retryDelay * 2, MAX_RETRY_DELAY);
+    console.debug(`[FrontManager] Live updates lost, reconnecting in ${delay / 1000}s`);
+    this.#retryTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  close() {
+    this.#closed = true;
+    clearTimeout(this.#retryTimer);
+    this.#source?.close();
+    this.#source = null;
+  }
+}
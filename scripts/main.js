@@ -4,8 +4,96 @@
  * mit bidirektionaler Synchronisation zum MCP-Server.
  */
 
-const MODULE_ID = 'front-manager';
-const API_BASE = 'http://localhost:3000';
+import { MODULE_ID } from './constants.js';
+import { apiRequest, isUnreachable, isFoundryClient, ConflictError } from './server.js';
+import { registerSettings } from './settings.js';
+import { loadCache, writeCache, getOutbox, enqueue, replayOutbox } from './offline.js';
+import { threeWayMerge, hasServerChanges } from './merge.js';
+import { MergeDialog } from './merge-dialog.js';
+import { applyOperations, moveOperations } from './operations.js';
+import { LiveConnection } from './live.js';
+import { initSocket, onSocketMessage, emitSocketMessage, softLocks } from './socket.js';
+import { postRevealCard, syncRevealedJournal } from './reveal.js';
+import { createApi } from './api.js';
+import { registerSheetButtons } from './player-hooks.js';
+import { registerContextPanel } from './context-panel.js';
+import { LINK_TYPES, LINK_ICONS, documentType } from './entities.js';
+import { SCHEMA_VERSION, createDefaults, migrationOperations, validateFronts, newIssues, sanitizeFronts } from './schema.js';
+import { history, describeOperations, describeToggle } from './history.js';
+import { ChangeLogApp } from './change-log.js';
+import { AdvanceWizardApp } from './advance-wizard.js';
+import { ImportApp } from './import-dialog.js';
+import { FormDialog, formRows, confirmDialog } from './form-dialog.js';
+import { frontsToJson, frontsToMarkdown } from './transfer.js';
+import { DEFAULT_FILTERS, isFiltering, filterFronts, highlight } from './search.js';
+import { getDoomProgress, getFrontDoomProgress, doomClockSvg, announceDoom } from './doom.js';
+import { getCurrentSession, startSession, eventStamp, buildTimeline, formatDate } from './sessions.js';
+import { isXpEnabled, awardSecretXp, revokeSecretXp, getSessionXp, resetSessionXp } from './xp.js';
+import { buildGraph } from './graph.js';
+import { clueTargetGroups, clueFormRow, clueTarget, describeClue, buildPrep } from './clues.js';
+import { isArchived, isEnded, statusLabel, statusOptions, statusOperations, openItems } from './lifecycle.js';
+import { localize, format } from './i18n.js';
+
+// Interval for reconnect attempts while the server is unreachable
+const RECONNECT_INTERVAL = 30000;
+
+// Delay between typing in the search bar and filtering
+const SEARCH_DELAY = 250;
+
+// Responses meaning the server does not know /api/fronts/patch
+const PATCH_UNSUPPORTED_STATUS = [404, 405, 501];
+
+// Marks drags that reorder items inside the window, as opposed to documents
+// dragged in from the sidebar
+const SORT_DRAG_TYPE = 'FrontManagerSort';
+
+const DANGER_PARTIAL = `modules/${MODULE_ID}/templates/partials/danger.hbs`;
+const ENTITY_PARTIAL = `modules/${MODULE_ID}/templates/partials/entity.hbs`;
+const ISSUES_PARTIAL = `modules/${MODULE_ID}/templates/partials/issues.hbs`;
+const OPEN_ITEMS_PARTIAL = `modules/${MODULE_ID}/templates/partials/open-items.hbs`;
+const CLUES_PARTIAL = `modules/${MODULE_ID}/templates/partials/clues.hbs`;
+
+// XP values offered for secrets, with the key of their difficulty label
+const SECRET_XP = [
+  { value: 20, difficulty: 'Easy' },
+  { value: 30, difficulty: 'Medium' },
+  { value: 50, difficulty: 'Hard' }
+];
+const DEFAULT_SECRET_XP = 30;
+
+// Zoom limits of the relationship graph
+const GRAPH_ZOOM = { min: 0.25, max: 4, step: 1.1 };
+
+/**
+ * Ids of the dangers that differ between two fronts lists, including added
+ * and removed ones.
+ */
+function changedDangerIds(before, after) {
+  const dangers = fronts => new Map((fronts || []).flatMap(front => front.dangers || []).map(d => [d.id, JSON.stringify(d)]));
+  const old = dangers(before);
+  const changed = dangers(after);
+  return [...new Set([...old.keys(), ...changed.keys()])].filter(id => old.get(id) !== changed.get(id));
+}
+
+/**
+ * Operations that set several fields of the item at `path`.
+ */
+function replaceOperations(path, fields) {
+  return Object.entries(fields).map(([key, value]) => ({ op: 'replace', path: `${path}/${key}`, value }));
+}
+
+/**
+ * The XP choices for a secret, including its current value if that is not
+ * one of them (e.g. after an import).
+ */
+function xpOptions(xp) {
+  const options = SECRET_XP.map(({ value, difficulty }) => ({
+    value,
+    label: format('Xp.Option', { xp: value, difficulty: localize(`Xp.${difficulty}`) })
+  }));
+  if (typeof xp !== 'number' || SECRET_XP.some(option => option.value === xp)) return options;
+  return [...options, { value: xp, label: format('Xp.Value', { xp }) }].sort((a, b) => a.value - b.value);
+}
 
 // ============================================================================
 // ApplicationV2 - Front Manager Window
@@ -14,7 +102,7 @@ const API_BASE = 'http://localhost:3000';
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
-  // Singleton instance
+  // Singleton instance, see getInstance
   static #instance = null;
 
   static get instance() {
@@ -25,7 +113,7 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
     id: 'front-manager',
     classes: ['front-manager'],
     window: {
-      title: 'Front Manager',
+      title: 'FRONT_MANAGER.Title',
       icon: 'fas fa-scroll',
       resizable: true
     },
@@ -37,22 +125,36 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
 
   static PARTS = {
     main: {
-      template: `modules/${MODULE_ID}/templates/front-manager.hbs`
+      template: `modules/${MODULE_ID}/templates/front-manager.hbs`,
+      templates: [DANGER_PARTIAL, ENTITY_PARTIAL, ISSUES_PARTIAL, OPEN_ITEMS_PARTIAL, CLUES_PARTIAL]
     }
   };
 
   // State
   #frontsData = null;
+  #issues = [];
+  #baseData = null;
+  #patchSupported = true;
+  #pushQueue = Promise.resolve();
   #expandedFronts = new Set();
   #expandedDangers = new Set();
   #loading = false;
   #error = null;
+  #offline = false;
+  #reconnectTimer = null;
   #scrollPosition = 0;
-
-  constructor(options = {}) {
-    super(options);
-    FrontManagerApp.#instance = this;
-  }
+  #view = 'fronts';
+  #graphTransform = { x: 0, y: 0, k: 1 };
+  #filters = { ...DEFAULT_FILTERS };
+  #searchTimer = null;
+  #searchSelection = null;
+  #dragSource = null;
+  #replaying = false;
+  #unsubscribeHistory = null;
+  #live = new LiveConnection({
+    onMessage: message => this.#onLiveMessage(message),
+    onStatus: (status, { reconnected }) => this.#onLiveStatus(status, reconnected)
+  });
 
   // -------------------------------------------------------------------------
   // Data Preparation
@@ -64,23 +166,129 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
       await this.#fetchFronts();
     }
 
-    // Prepare fronts with expanded state
-    const fronts = (this.#frontsData?.fronts || []).map(front => ({
+    // Broken entities are left out and reported instead
+    const valid = sanitizeFronts(this.#frontsData?.fronts);
+    this.#issues = validateFronts(this.#frontsData?.fronts ?? []);
+
+    // Prepare fronts with expanded state, limited to search results.
+    // Archived fronts only show up in the archive.
+    const current = valid.filter(front => !isArchived(front));
+    const fronts = filterFronts(current, this.#filters).map(({ front, matched, dangers }) => ({
       ...front,
+      matched,
+      statusLabel: statusLabel(front.status),
+      issues: this.#issuesOf(front.id, null),
       expanded: this.#expandedFronts.has(front.id),
-      dangers: front.dangers.map(danger => ({
-        ...danger,
-        expanded: this.#expandedDangers.has(danger.id)
-      }))
+      doom: getFrontDoomProgress(front),
+      cast: this.#prepareEntities(front.cast),
+      playerHooks: this.#preparePlayerHooks(front),
+      dangers: dangers.map(({ danger, matched }) => ({ ...this.#prepareDanger(danger, front), matched }))
     }));
 
     return {
+      view: this.#view,
+      session: getCurrentSession(),
+      timeline: this.#view === 'timeline' ? buildTimeline(valid) : null,
+      archive: this.#view === 'archive' ? this.#prepareArchive(valid) : null,
+      prep: this.#view === 'prep' ? buildPrep(valid) : null,
+      graph: this.#view === 'graph' ? buildGraph(current) : null,
+      graphTransform: this.#graphTransform,
+      archived: valid.length - current.length,
       fronts,
+      issues: this.#issuesOf(null, null),
+      filters: this.#filters,
+      filtering: isFiltering(this.#filters),
+      query: this.#filters.query.trim(),
       loading: this.#loading,
-      error: this.#error
+      error: this.#error,
+      offline: this.#offline,
+      pendingChanges: getOutbox().length,
+      live: this.#live.connected,
+      canUndo: history.canUndo,
+      canRedo: history.canRedo,
+      xpEnabled: isXpEnabled(),
+      sessionXp: getSessionXp()
     };
   }
 
+  /**
+   * Player hooks with the name and portrait of their character.
+   */
+  #preparePlayerHooks(front) {
+    return front.playerHooks.map(hook => {
+      const actor = hook.actorUuid ? fromUuidSync(hook.actorUuid) : null;
+      return {
+        id: hook.id,
+        text: hook.text,
+        actor: actor ? { uuid: actor.uuid, name: actor.name, img: actor.img } : null,
+        missingActor: !!hook.actorUuid && !actor
+      };
+    });
+  }
+
+  /**
+   * Cast members and locations, with the name and icon of a linked document.
+   */
+  #prepareEntities(list) {
+    return (list || []).map(entity => {
+      if (!entity.uuid) return entity;
+      const doc = fromUuidSync(entity.uuid);
+      return {
+        ...entity,
+        link: {
+          name: doc?.name ?? entity.name,
+          icon: LINK_ICONS[documentType(entity.uuid)] ?? 'fa-link',
+          missing: !doc
+        }
+      };
+    });
+  }
+
+  #prepareDanger(danger, front) {
+    const secrets = (this.#filters.unrevealedSecrets
+      ? (danger.secrets || []).filter(s => !s.revealed)
+      : danger.secrets
+    ).map(secret => ({ ...secret, clues: secret.clues.map(clue => describeClue(clue, front, danger)) }));
+
+    return {
+      ...danger,
+      secrets,
+      issues: this.#issuesOf(null, danger.id),
+      expanded: this.#expandedDangers.has(danger.id),
+      statusLabel: statusLabel(danger.status),
+      ended: isEnded(danger.status),
+      resolved: formatDate(danger.resolvedAt),
+      doom: getDoomProgress(danger),
+      locations: this.#prepareEntities(danger.locations),
+      lockedBy: softLocks.getHolder(`danger:${danger.id}`)?.name ?? null
+    };
+  }
+
+  /**
+   * Archived fronts, newest first, with how each of their dangers ended.
+   */
+  #prepareArchive(fronts) {
+    return fronts
+      .filter(isArchived)
+      .sort((a, b) => String(b.resolvedAt ?? '').localeCompare(String(a.resolvedAt ?? '')))
+      .map(front => ({
+        id: front.id,
+        name: front.name,
+        type: front.type,
+        outcome: front.outcome,
+        resolved: formatDate(front.resolvedAt),
+        dangers: front.dangers.map(danger => ({
+          id: danger.id,
+          name: danger.name,
+          status: danger.status,
+          statusLabel: statusLabel(danger.status),
+          outcome: danger.outcome,
+          openPortents: danger.openPortents,
+          openSecrets: danger.openSecrets
+        }))
+      }));
+  }
+
   // -------------------------------------------------------------------------
   // API Communication
   // -------------------------------------------------------------------------
@@ -90,95 +298,652 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
     this.#error = null;
 
     try {
-      const response = await fetch(`${API_BASE}/api/fronts`);
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
-      }
-      this.#frontsData = await response.json();
+      // Queued offline changes go first so the fetched state includes them
+      await this.#replayOutbox();
+      this.#frontsData = await apiRequest('/api/fronts');
       console.log(`[FrontManager] Loaded ${this.#frontsData.fronts?.length || 0} fronts`);
+      this.#setOffline(false);
+      this.#setBase(this.#frontsData);
+      await this.#migrateData();
+      await writeCache(this.#frontsData, this.#baseData);
+      this.#notifyUpdated('server');
     } catch (err) {
-      console.error('[FrontManager] Failed to fetch fronts:', err);
-      this.#error = `Verbindung zum Server fehlgeschlagen: ${err.message}`;
+      if (isUnreachable(err) && this.#useCachedData()) {
+        console.warn('[FrontManager] Server unreachable, working offline:', err.message);
+        this.#setOffline(true);
+        await this.#migrateData();
+      } else {
+        console.error('[FrontManager] Failed to fetch fronts:', err);
+        this.#error = `${localize('ConnectionFailed')}: ${err.message}`;
+      }
     } finally {
       this.#loading = false;
     }
   }
 
-  async #saveFronts() {
+  /**
+   * Apply operations to the local fronts optimistically and send them to the
+   * server. If the server rejects them, the local change is rolled back.
+   * @param {object[]} operations
+   * @returns {Promise<boolean>} Whether the change was kept
+   */
+  async #applyOperations(operations, { undoable = true, label = null } = {}) {
+    if (!this.#allowSave(operations)) return false;
+
+    label ??= describeOperations(this.#frontsData, operations);
+    const issues = validateFronts(this.#frontsData.fronts);
+    let inverse;
     try {
-      const response = await fetch(`${API_BASE}/api/fronts/save`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ fronts: this.#frontsData.fronts })
-      });
+      inverse = applyOperations(this.#frontsData, operations);
+    } catch (err) {
+      console.error('[FrontManager] Failed to apply operations:', err);
+      ui.notifications.error(format('Notify.SaveFailed', { error: err.message }));
+      return false;
+    }
 
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
-      }
+    // Changes may not break the data, but may touch data that is already broken
+    const broken = newIssues(issues, validateFronts(this.#frontsData.fronts));
+    if (broken.length) {
+      applyOperations(this.#frontsData, inverse);
+      console.error('[FrontManager] Rejected invalid change:', broken, operations);
+      ui.notifications.error(format('Notify.InvalidChange', { issue: broken[0].message }));
+      return false;
+    }
+    this.render();
+    this.#notifyUpdated('local');
 
-      console.log('[FrontManager] Fronts saved successfully');
+    const record = () => undoable && this.#record({ label, operations, inverse });
+
+    if (this.#offline) {
+      await this.#queueChange({ type: 'patch', operations });
+      record();
       return true;
+    }
+
+    try {
+      // False if the GM took the server's version in the merge dialog
+      const saved = await this.#pushOperations(operations);
+      await writeCache(this.#frontsData, this.#baseData);
+      if (saved) record();
+      return saved;
     } catch (err) {
-      console.error('[FrontManager] Failed to save fronts:', err);
-      ui.notifications.error(`Fehler beim Speichern: ${err.message}`);
+      if (isUnreachable(err)) {
+        this.#setOffline(true);
+        await this.#queueChange({ type: 'patch', operations });
+        this.render();
+        record();
+        return true;
+      }
+      console.error('[FrontManager] Failed to save operations:', err);
+      applyOperations(this.#frontsData, inverse);
+      this.render();
+      this.#notifyUpdated('local');
+      ui.notifications.error(format('Notify.SaveFailed', { error: err.message }));
       return false;
     }
   }
 
-  async #toggleSecret(dangerId, secretId) {
+  /**
+   * Send operations to the patch endpoint. Pushes are serialized, so every
+   * request is based on the revision the previous one produced. Servers
+   * without a patch endpoint get a full save instead.
+   * @returns {Promise<boolean>}  False if a conflict was settled by taking
+   *                              the server's version, dropping our change
+   */
+  #pushOperations(operations) {
+    const push = this.#pushQueue.then(async () => {
+      const ours = this.#applyToBase(operations);
+      if (!this.#patchSupported) return this.#pushFronts(ours.fronts);
+
+      const revision = this.#baseData?.revision ?? undefined;
+      try {
+        const result = await apiRequest('/api/fronts/patch', {
+          method: 'POST',
+          revision,
+          body: { operations, revision }
+        });
+        const dangerIds = changedDangerIds(this.#baseData?.fronts, ours.fronts);
+        this.#setBase({ fronts: ours.fronts, revision: result.revision });
+        emitSocketMessage('fronts-changed', { revision: result.revision, dangerIds });
+        return true;
+      } catch (err) {
+        if (err instanceof ConflictError) {
+          console.warn('[FrontManager] Patch conflict, merging with server state');
+          const merged = await this.#mergeWithServer(ours.fronts, err.data);
+          return merged ? this.#pushFronts(merged) : false;
+        } else if (PATCH_UNSUPPORTED_STATUS.includes(err.status)) {
+          console.warn('[FrontManager] Server has no patch endpoint, falling back to full saves');
+          this.#patchSupported = false;
+          return this.#pushFronts(ours.fronts);
+        } else {
+          throw err;
+        }
+      }
+    });
+
+    // Keep the queue going after a failed push
+    this.#pushQueue = push.catch(() => {});
+    return push;
+  }
+
+  /**
+   * The server state with our operations applied on top. Falls back to the
+   * local data if there is no server state or the operations don't fit it.
+   */
+  #applyToBase(operations) {
+    if (this.#baseData) {
+      const doc = foundry.utils.deepClone(this.#baseData);
+      try {
+        applyOperations(doc, operations);
+        return doc;
+      } catch (err) {
+        console.warn('[FrontManager] Operations do not apply to server state:', err.message);
+      }
+    }
+    return foundry.utils.deepClone(this.#frontsData);
+  }
+
+  /**
+   * Save a fronts list based on the last revision fetched from the server.
+   * If someone else saved in between, merge with their state and try again.
+   * @returns {Promise<boolean>}  False if the server's version was taken instead
+   */
+  async #pushFronts(fronts) {
+    const revision = this.#baseData?.revision ?? undefined;
     try {
-      const response = await fetch(`${API_BASE}/api/fronts/secret/toggle`, {
+      const result = await apiRequest('/api/fronts/save', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ dangerId, secretId })
+        revision,
+        body: { fronts, revision }
       });
+      const dangerIds = changedDangerIds(this.#baseData?.fronts, fronts);
+      this.#setBase({ fronts, revision: result.revision });
+      emitSocketMessage('fronts-changed', { revision: result.revision, dangerIds });
+      return true;
+    } catch (err) {
+      if (!(err instanceof ConflictError)) throw err;
 
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
+      console.warn('[FrontManager] Save conflict, merging with server state');
+      const merged = await this.#mergeWithServer(fronts, err.data);
+      return merged ? this.#pushFronts(merged) : false;
+    }
+  }
+
+  /**
+   * Three-way merge of our fronts with the server's current fronts.
+   * The merge dialog is only shown if the server side actually changed something.
+   * @returns {Promise<object[]|null>} Merged fronts, or null if the server state was taken
+   */
+  async #mergeWithServer(ours, serverData) {
+    const theirs = serverData?.fronts ? serverData : await apiRequest('/api/fronts');
+    // Our data and the base are migrated, so a server that is not yet would
+    // seem to have changed every migrated field
+    applyOperations(theirs, migrationOperations(theirs));
+    const base = this.#baseData?.fronts ?? theirs.fronts;
+
+    let { merged, changes } = threeWayMerge(base, ours, theirs.fronts);
+    if (hasServerChanges(changes)) {
+      const choices = await MergeDialog.prompt(changes);
+      if (!choices) {
+        this.#frontsData = theirs;
+        this.#setBase(theirs);
+        if (this.rendered) this.render();
+        this.#notifyUpdated('server');
+        ui.notifications.info(localize('Notify.ServerStateTaken'));
+        return null;
       }
+      merged = threeWayMerge(base, ours, theirs.fronts, choices).merged;
+    }
 
-      const result = await response.json();
-      console.log('[FrontManager] Secret toggled:', result);
+    this.#setBase(theirs);
+    this.#frontsData = { ...theirs, fronts: merged };
+    if (this.rendered) this.render();
+    this.#notifyUpdated('server');
+    return merged;
+  }
 
-      // Refresh data
-      await this.#fetchFronts();
-      this.render();
+  /**
+   * Bring older fronts and the merge base up to the current schema, then
+   * report what is still broken. Only the active GM saves the migration; the
+   * ids are derived from the data, so every other client migrates to exactly
+   * the same result.
+   */
+  async #migrateData() {
+    const operations = migrationOperations(this.#frontsData);
+    if (operations.length) applyOperations(this.#frontsData, operations);
+    if (this.#baseData) applyOperations(this.#baseData, migrationOperations(this.#baseData));
+    this.#reportIssues();
+    if (!operations.length || !game.user.isActiveGM) return;
+
+    console.debug(`[FrontManager] Migrating ${operations.length} fronts to schema version ${SCHEMA_VERSION}`);
+    if (this.#offline) {
+      await this.#queueChange({ type: 'patch', operations });
+      return;
+    }
 
-      // Show notification
-      const secret = result.secret;
-      if (secret.revealed) {
-        ui.notifications.info(`Secret gelüftet: ${secret.text.substring(0, 50)}...`);
-      } else {
-        ui.notifications.info(`Secret zurückgesetzt`);
+    // Not awaited: this runs while rendering, and a conflict opens the merge dialog
+    this.#saveMigration(operations);
+  }
+
+  async #saveMigration(operations) {
+    try {
+      await this.#pushOperations(operations);
+    } catch (err) {
+      if (isUnreachable(err)) {
+        this.#setOffline(true);
+        await this.#queueChange({ type: 'patch', operations });
+        return;
       }
+      console.error('[FrontManager] Failed to save migrated fronts:', err);
+    }
+  }
+
+  /**
+   * Log schema problems that were not there before, and tell the GM once.
+   */
+  #reportIssues() {
+    const issues = validateFronts(this.#frontsData?.fronts ?? []);
+    const added = newIssues(this.#issues, issues);
+    this.#issues = issues;
+    if (!added.length) return;
+
+    added.forEach(issue => console.warn(`[FrontManager] Invalid fronts data: ${issue.message}`));
+    ui.notifications.warn(format('Notify.InvalidData', { count: added.length }));
+  }
+
+  #setBase(data) {
+    this.#baseData = {
+      fronts: foundry.utils.deepClone(data.fronts ?? []),
+      revision: data.revision ?? null
+    };
+  }
+
+  /**
+   * Reveal a secret or hide it again, saved together with when it happened.
+   * Throws if the secret does not exist.
+   * @returns {Promise<boolean>}  Whether the change was saved
+   */
+  async #toggleSecret(dangerId, secretId) {
+    const secret = this.#getDanger(dangerId)?.danger.secrets?.find(s => s.id === secretId);
+    if (!secret) throw new Error(format('Error.SecretNotFound', { id: secretId }));
+
+    const revealed = !secret.revealed;
+    const path = `${this.#dangerPath(dangerId)}/secrets/${secretId}`;
+    const operations = replaceOperations(path, { revealed, ...eventStamp('secret', revealed) });
+    if (!await this.#applyOperations(operations, { undoable: false })) return false;
+
+    await this.#onSecretToggled(dangerId, secretId);
+    return true;
+  }
+
+  /**
+   * Show the checkbox of a toggle from the window that did not go through as
+   * it was again, and report why if it was not reported yet.
+   */
+  #onToggleDone(toggle) {
+    toggle
+      .then(saved => saved || this.render())
+      .catch(err => {
+        ui.notifications.error(format('Notify.Error', { error: err.message }));
+        this.render();
+      });
+  }
+
+  /**
+   * Notify the GM and share the change with the players (chat card and
+   * "Entdeckte Geheimnisse" journal, depending on the settings).
+   */
+  async #onSecretToggled(dangerId, secretId) {
+    const { front, danger } = this.#getDanger(dangerId) ?? {};
+    const secret = danger?.secrets?.find(s => s.id === secretId);
+    if (!secret) return;
+
+    this.#record({ label: describeToggle('secret', secret), toggle: { type: 'secret', dangerId, id: secretId } });
+
+    if (secret.revealed) {
+      ui.notifications.info(`${localize('SecretRevealed')}: ${secret.text.substring(0, 50)}...`);
+      Hooks.callAll('frontManager.secretRevealed', { front, danger, secret });
+    } else {
+      ui.notifications.info(localize('SecretReset'));
+    }
+
+    try {
+      if (secret.revealed) await postRevealCard(front, danger, secret);
+      await syncRevealedJournal(this.#frontsData.fronts);
+    } catch (err) {
+      console.error('[FrontManager] Failed to share revealed secret:', err);
+      ui.notifications.warn(format('Notify.ShareFailed', { error: err.message }));
+    }
+
+    try {
+      const changed = secret.revealed ? await awardSecretXp(secret) : await revokeSecretXp(secret);
+      if (changed) this.render();
     } catch (err) {
-      console.error('[FrontManager] Failed to toggle secret:', err);
-      ui.notifications.error(`Fehler: ${err.message}`);
+      console.error('[FrontManager] Failed to update secret XP:', err);
+      ui.notifications.error(format('Notify.XpFailed', { error: err.message }));
     }
   }
 
+  /**
+   * Complete a portent or open it again, saved together with when it
+   * happened and the doom status of its danger. Throws if the portent does
+   * not exist.
+   * @returns {Promise<boolean>}  Whether the change was saved
+   */
   async #togglePortent(dangerId, portentId) {
-    try {
-      const response = await fetch(`${API_BASE}/api/fronts/portent/toggle`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ dangerId, portentId })
-      });
+    const danger = this.#getDanger(dangerId)?.danger;
+    const portent = danger?.grimPortents?.find(p => p.id === portentId);
+    if (!portent) throw new Error(format('Error.PortentNotFound', { id: portentId }));
+
+    const completed = !portent.completed;
+    const path = `${this.#dangerPath(dangerId)}/grimPortents/${portentId}`;
+    const toggled = foundry.utils.deepClone(danger);
+    toggled.grimPortents.find(p => p.id === portentId).completed = completed;
+    const operations = [
+      ...replaceOperations(path, { completed, ...eventStamp('portent', completed) }),
+      ...this.#doomStatusOperations(toggled)
+    ];
+    if (!await this.#applyOperations(operations, { undoable: false })) return false;
+
+    await this.#onPortentToggled(dangerId, portentId);
+    return true;
+  }
 
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
-      }
+  /**
+   * Completing the last grim portent brings the impending doom.
+   */
+  async #onPortentToggled(dangerId, portentId) {
+    const { front, danger } = this.#getDanger(dangerId) ?? {};
+    const portent = danger?.grimPortents?.find(p => p.id === portentId);
+    if (!portent) return;
+
+    this.#record({ label: describeToggle('portent', portent), toggle: { type: 'portent', dangerId, id: portentId } });
+    await this.#announcePortent(front, danger, portent);
+  }
+
+  async #announcePortent(front, danger, portent) {
+    Hooks.callAll('frontManager.portentToggled', { front, danger, portent });
+    await this.#updateDoomStatus(danger);
+    if (!portent.completed || !getDoomProgress(danger).arrived) return;
+
+    await announceDoom(front, danger);
+  }
+
+  /**
+   * A danger whose last portent is completed has reached its doom; opening
+   * a portent again makes it active. Part of the toggle, so not undoable on
+   * its own.
+   */
+  async #updateDoomStatus(danger) {
+    const operations = this.#doomStatusOperations(danger);
+    if (operations.length) await this.#applyOperations(operations, { undoable: false });
+  }
+
+  /**
+   * @returns {object[]}  Empty if the status already matches the portents
+   */
+  #doomStatusOperations(danger) {
+    const { arrived } = getDoomProgress(danger);
+    let status = null;
+    if (arrived && ['active', 'dormant'].includes(danger.status)) status = 'doom';
+    if (!arrived && danger.status === 'doom') status = 'active';
+    if (!status) return [];
+
+    return statusOperations('danger', this.#dangerPath(danger.id), danger, status);
+  }
+
+  /**
+   * Complete several portents as one change, e.g. from the advance wizard,
+   * together with the doom status of their dangers and the end of the
+   * dangers the players thwarted. Hooks and doom announcements fire for each
+   * completed portent.
+   * @param {{dangerId: string, portentId: string}[]} portents
+   * @param {{dangerId: string, outcome?: string}[]} [thwarted]
+   * @returns {Promise<boolean>}  Whether the change was saved
+   */
+  async #advancePortents(portents, thwarted = []) {
+    const open = portents.filter(({ dangerId, portentId }) =>
+      this.#getDanger(dangerId)?.danger.grimPortents?.some(p => p.id === portentId && !p.completed));
+    const ending = thwarted.filter(({ dangerId }) => this.#getDanger(dangerId));
+    if (!open.length && !ending.length) return true;
+
+    const stamp = eventStamp('portent', true);
+    const operations = open.flatMap(({ dangerId, portentId }) =>
+      replaceOperations(`${this.#dangerPath(dangerId)}/grimPortents/${portentId}`, { completed: true, ...stamp }));
+
+    // The dangers as they will be, to see whose doom arrives
+    const advanced = new Map();
+    for (const { dangerId, portentId } of open) {
+      if (!advanced.has(dangerId)) advanced.set(dangerId, foundry.utils.deepClone(this.#getDanger(dangerId).danger));
+      advanced.get(dangerId).grimPortents.find(p => p.id === portentId).completed = true;
+    }
+    for (const danger of advanced.values()) {
+      if (!ending.some(end => end.dangerId === danger.id)) operations.push(...this.#doomStatusOperations(danger));
+    }
+    for (const { dangerId, outcome } of ending) {
+      const danger = advanced.get(dangerId) ?? this.#getDanger(dangerId).danger;
+      operations.push(...statusOperations('danger', this.#dangerPath(dangerId), danger, 'thwarted', outcome));
+    }
+
+    const label = ending.length
+      ? format('History.AdvancedAndThwarted', { portents: open.length, dangers: ending.length })
+      : format(open.length === 1 ? 'History.PortentAdvanced' : 'History.PortentsAdvanced', { count: open.length });
+    if (!await this.#applyOperations(operations, { label })) return false;
+
+    for (const { dangerId, portentId } of open) {
+      const { front, danger } = this.#getDanger(dangerId);
+      await this.#announcePortent(front, danger, danger.grimPortents.find(p => p.id === portentId));
+    }
+    return true;
+  }
+
+  // -------------------------------------------------------------------------
+  // Offline Mode
+  // -------------------------------------------------------------------------
+
+  /**
+   * Fall back to local data (or the cached data) when the server is down.
+   * @returns {boolean} Whether there is any data to work with
+   */
+  #useCachedData() {
+    const cache = loadCache();
+    if (!this.#frontsData) {
+      this.#frontsData = cache?.data ?? null;
+    }
+    if (!this.#baseData && cache?.base) {
+      this.#baseData = cache.base;
+    }
+    return !!this.#frontsData;
+  }
+
+  #setOffline(offline) {
+    this.#offline = offline;
+    this.#pollReconnect();
+  }
+
+  /**
+   * While offline, an open window checks for the server now and then. A
+   * closed one tries again on the next API call instead.
+   * @param {boolean} [open]  Whether the window is open
+   */
+  #pollReconnect(open = this.rendered) {
+    clearInterval(this.#reconnectTimer);
+    this.#reconnectTimer = null;
+
+    if (this.#offline && open) {
+      this.#reconnectTimer = setInterval(() => this.#tryReconnect(), RECONNECT_INTERVAL);
+    }
+  }
+
+  async #tryReconnect() {
+    await this.#fetchFronts();
+    if (!this.#offline) {
+      ui.notifications.info(localize('Notify.Reconnected'));
+      if (this.rendered) this.render();
+    }
+  }
+
+  /**
+   * Store a change in the outbox and keep the local cache in sync with it.
+   * @returns {Promise<boolean>}
+   */
+  async #queueChange(entry) {
+    entry.createdAt = Date.now();
+    await enqueue(foundry.utils.deepClone(entry));
+    await writeCache(this.#frontsData, this.#baseData);
+    return true;
+  }
 
-      const result = await response.json();
-      console.log('[FrontManager] Portent toggled:', result);
+  async #replayOutbox() {
+    if (!getOutbox().length) return;
 
-      // Refresh data
+    const { sent, failed } = await replayOutbox(entry => this.#sendQueuedChange(entry));
+    if (sent) ui.notifications.info(format('Notify.OutboxSent', { count: sent }));
+    if (failed) ui.notifications.warn(format('Notify.OutboxFailed', { count: failed }));
+  }
+
+  #sendQueuedChange(entry) {
+    switch (entry.type) {
+      case 'save':
+        return this.#pushFronts(entry.fronts);
+      case 'patch':
+        return this.#pushOperations(entry.operations);
+      default:
+        throw new Error(`Unknown offline change: ${entry.type}`);
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Live Updates
+  // -------------------------------------------------------------------------
+
+  /**
+   * Another GM client saved a change. Socket messages carry no content, so
+   * fetch the new state, unless the live stream already delivered it.
+   */
+  async #syncFromServer({ revision, dangerIds = [] } = {}) {
+    if (!this.#frontsData || this.#live.connected) return;
+    if (revision && revision === this.#baseData?.revision) return;
+
+    const before = foundry.utils.deepClone(this.#frontsData.fronts);
+    await this.#fetchFronts();
+    if (this.#error) return this.rendered && this.render();
+
+    // The fetched state may also hold changes made on the MCP side
+    await this.#announceRemoteDooms(before, dangerIds);
+    if (this.rendered) await this.#renderChanges(before);
+  }
+
+  async #onLiveStatus(status, reconnected) {
+    // Events sent while we were disconnected are lost, so catch up once
+    if (status === 'connected' && reconnected) {
       await this.#fetchFronts();
-      this.render();
+    }
+    if (this.rendered) this.render();
+  }
 
-    } catch (err) {
-      console.error('[FrontManager] Failed to toggle portent:', err);
-      ui.notifications.error(`Fehler: ${err.message}`);
+  /**
+   * Merge a change pushed by the server into the local data and re-render
+   * only the parts that changed.
+   */
+  async #onLiveMessage(message) {
+    if (!this.#frontsData) return;
+    const before = foundry.utils.deepClone(this.#frontsData.fronts);
+
+    switch (message.type) {
+      case 'patch':
+        try {
+          applyOperations(this.#frontsData, message.operations);
+          if (this.#baseData) {
+            // Its own copy of the values, or local edits would change the merge base too
+            applyOperations(this.#baseData, foundry.utils.deepClone(message.operations));
+            this.#baseData.revision = message.revision ?? this.#baseData.revision;
+          }
+        } catch (err) {
+          // Our copy has drifted from the server, start over from its state
+          console.warn('[FrontManager] Live patch does not apply, reloading:', err.message);
+          await this.#fetchFronts();
+          if (this.rendered) this.render();
+          return;
+        }
+        break;
+      case 'fronts':
+        if (!Array.isArray(message.fronts)) return;
+        this.#frontsData = { ...this.#frontsData, fronts: message.fronts };
+        this.#setBase(message);
+        break;
+      default:
+        return;
+    }
+
+    await this.#migrateData();
+    await writeCache(this.#frontsData, this.#baseData);
+    // Foundry clients announce their own changes
+    if (!isFoundryClient(message.source)) await this.#announceRemoteDooms(before);
+    if (this.rendered) await this.#renderChanges(before);
+    this.#notifyUpdated('live');
+  }
+
+  /**
+   * Announce the dooms that came to pass through a change made outside this
+   * client, and keep the dangers' status in step with them. Only the active
+   * GM does this, so every doom is announced once.
+   * @param {object[]} before    The fronts before the change
+   * @param {string[]} [skip]    Dangers whose change the client that made it handled
+   */
+  async #announceRemoteDooms(before, skip = []) {
+    if (!game.user.isActiveGM) return;
+
+    const arrived = new Map(sanitizeFronts(before).flatMap(front => front.dangers)
+      .map(danger => [danger.id, getDoomProgress(danger).arrived]));
+    for (const front of sanitizeFronts(this.#frontsData.fronts)) {
+      for (const danger of front.dangers) {
+        if (skip.includes(danger.id) || !arrived.has(danger.id)) continue;
+        const now = getDoomProgress(danger).arrived;
+        if (now === arrived.get(danger.id)) continue;
+
+        await this.#updateDoomStatus(danger);
+        if (now) await announceDoom(front, danger);
+      }
+    }
+  }
+
+  /**
+   * Re-render the danger items that differ from `before`. Anything beyond
+   * danger level (fronts added, removed or edited) gets a full render.
+   */
+  async #renderChanges(before) {
+    // Changes can move items in or out of the search results
+    if (isFiltering(this.#filters) || this.#view !== 'fronts') return this.render();
+
+    before = sanitizeFronts(before);
+    const after = sanitizeFronts(this.#frontsData.fronts);
+    this.#issues = validateFronts(this.#frontsData.fronts);
+    const stripDangers = front => JSON.stringify({ ...front, dangers: front.dangers.map(d => d.id) });
+    const frontsChanged = before.length !== after.length
+      || after.some((front, i) => stripDangers(front) !== stripDangers(before[i]));
+    if (frontsChanged) return this.render();
+
+    const previous = new Map(before.flatMap(front => front.dangers).map(d => [d.id, JSON.stringify(d)]));
+    for (const front of after) {
+      for (const danger of front.dangers) {
+        if (previous.get(danger.id) === JSON.stringify(danger)) continue;
+
+        const element = this.element.querySelector(`.danger-item[data-danger-id="${danger.id}"]`);
+        if (!element) continue;
+
+        const html = await foundry.applications.handlebars.renderTemplate(DANGER_PARTIAL, {
+          ...this.#prepareDanger(danger, front),
+          frontId: front.id
+        });
+        const replacement = foundry.utils.parseHTML(html);
+        replacement.classList.add('live-updated');
+        element.replaceWith(replacement);
+        this.#activateListeners(replacement);
+      }
+
+      const clock = this.element.querySelector(`.front-doom[data-front-id="${front.id}"]`);
+      if (clock) clock.innerHTML = this.#frontDoomClock(getFrontDoomProgress(front));
     }
   }
 
@@ -186,18 +951,62 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
   // Helper Methods
   // -------------------------------------------------------------------------
 
+  #frontDoomClock(progress) {
+    if (!progress) return '';
+    return doomClockSvg(progress, `${progress.danger}: ${progress.filled}/${progress.segments}`);
+  }
+
   #getFront(frontId) {
-    return this.#frontsData?.fronts?.find(f => f.id === frontId);
+    const fronts = this.#frontsData?.fronts;
+    return Array.isArray(fronts) ? fronts.find(f => f?.id === frontId) : undefined;
   }
 
   #getDanger(dangerId) {
-    for (const front of this.#frontsData?.fronts || []) {
-      const danger = front.dangers.find(d => d.id === dangerId);
+    const fronts = this.#frontsData?.fronts;
+    for (const front of Array.isArray(fronts) ? fronts : []) {
+      const danger = Array.isArray(front?.dangers) ? front.dangers.find(d => d?.id === dangerId) : null;
       if (danger) return { front, danger };
     }
     return null;
   }
 
+  /**
+   * Schema problems of one front (dangerId null) or danger, or with both
+   * null, those that belong to no front.
+   * @returns {string[]}
+   */
+  #issuesOf(frontId, dangerId) {
+    return this.#issues
+      .filter(issue => (dangerId ? issue.dangerId === dangerId : issue.frontId === frontId && !issue.dangerId))
+      .map(issue => issue.message);
+  }
+
+  #frontPath(frontId) {
+    return `fronts/${frontId}`;
+  }
+
+  #dangerPath(dangerId) {
+    const front = this.#getDanger(dangerId)?.front;
+    return `fronts/${front?.id}/dangers/${dangerId}`;
+  }
+
+  /**
+   * Give other modules a chance to veto a change before it is saved.
+   * @param {object[]} operations
+   * @returns {boolean}
+   */
+  #allowSave(operations) {
+    return Hooks.call('frontManager.preSave', operations) !== false;
+  }
+
+  /**
+   * @param {string} source  'server' (fetched or merged), 'local' or 'live'
+   */
+  #notifyUpdated(source) {
+    if (!this.#frontsData) return;
+    Hooks.callAll('frontManager.frontsUpdated', this.#frontsData.fronts, { source });
+  }
+
   #generateId(prefix) {
     return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   }
@@ -212,29 +1021,73 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
     if (container) {
       this.#scrollPosition = container.scrollTop;
     }
+
+    // Keep typing in the search bar across the re-render
+    const search = this.element?.querySelector('input[name="search"]');
+    this.#searchSelection = search && search === document.activeElement
+      ? [search.selectionStart, search.selectionEnd]
+      : null;
+
     return super._preRender(context, options);
   }
 
+  _onFirstRender(context, options) {
+    if (game.settings.get(MODULE_ID, 'liveUpdates')) {
+      this.#live.connect();
+    }
+
+    // Focusable, so Ctrl+Z reaches the window after clicking into it
+    this.element.tabIndex = -1;
+    this.element.addEventListener('keydown', ev => this.#onKeyDown(ev));
+    this.#unsubscribeHistory = history.onChange(() => this.#updateHistoryButtons());
+    this.#pollReconnect(true);
+
+    return super._onFirstRender(context, options);
+  }
+
+  _onClose(options) {
+    this.#unsubscribeHistory?.();
+    this.#unsubscribeHistory = null;
+    clearTimeout(this.#searchTimer);
+    clearInterval(this.#reconnectTimer);
+    this.#reconnectTimer = null;
+    this.#live.close();
+    return super._onClose(options);
+  }
+
   // -------------------------------------------------------------------------
   // Event Handling
   // -------------------------------------------------------------------------
 
   _onRender(context, options) {
-    const html = this.element;
-
     // Restore scroll position after render
-    const container = html.querySelector('.front-manager-container');
+    const container = this.element.querySelector('.front-manager-container');
     if (container && this.#scrollPosition > 0) {
       requestAnimationFrame(() => {
         container.scrollTop = this.#scrollPosition;
       });
     }
 
+    if (this.#searchSelection) {
+      const search = this.element.querySelector('input[name="search"]');
+      search?.focus();
+      search?.setSelectionRange(...this.#searchSelection);
+    }
+
+    this.#activateListeners(this.element);
+    this.#addGraphListeners(this.element);
+  }
+
+  /**
+   * Bind all event listeners below the given element. Also used for danger
+   * items that are re-rendered on their own after a live update.
+   */
+  #activateListeners(html) {
     // Toggle front expand/collapse
     html.querySelectorAll('[data-action="toggle-front"]').forEach(el => {
       el.addEventListener('click', ev => {
-        // Don't toggle if clicking on edit button
-        if (ev.target.closest('.icon-btn')) return;
+        // Don't toggle if clicking on edit button or drag handle
+        if (ev.target.closest('.icon-btn, .drag-handle')) return;
 
         const frontItem = ev.currentTarget.closest('.front-item');
         const frontId = frontItem.dataset.frontId;
@@ -262,13 +1115,45 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
       });
     });
 
+    // Search bar
+    html.querySelectorAll('input[name="search"]').forEach(el => {
+      el.addEventListener('input', ev => {
+        const query = ev.currentTarget.value;
+        clearTimeout(this.#searchTimer);
+        this.#searchTimer = setTimeout(() => this.#setFilters({ query }), SEARCH_DELAY);
+      });
+      el.addEventListener('keydown', ev => {
+        if (ev.key !== 'Escape' || !ev.currentTarget.value) return;
+        ev.preventDefault();
+        ev.stopPropagation();
+        clearTimeout(this.#searchTimer);
+        this.#setFilters({ query: '' });
+      });
+    });
+
+    // Quick filters
+    html.querySelectorAll('[data-filter]').forEach(el => {
+      el.addEventListener('change', ev => {
+        const { filter } = ev.currentTarget.dataset;
+        const value = ev.currentTarget.type === 'checkbox' ? ev.currentTarget.checked : ev.currentTarget.value;
+        this.#setFilters({ [filter]: value });
+      });
+    });
+
+    html.querySelectorAll('[data-action="clear-filters"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        this.#setFilters({ ...DEFAULT_FILTERS });
+      });
+    });
+
     // Toggle secret
     html.querySelectorAll('[data-action="toggle-secret"]').forEach(el => {
       el.addEventListener('change', ev => {
         ev.preventDefault();
         const dangerId = ev.currentTarget.dataset.dangerId;
         const secretId = ev.currentTarget.dataset.secretId;
-        this.#toggleSecret(dangerId, secretId);
+        this.#onToggleDone(this.#toggleSecret(dangerId, secretId));
       });
     });
 
@@ -278,118 +1163,284 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
         ev.preventDefault();
         const dangerId = ev.currentTarget.dataset.dangerId;
         const portentId = ev.currentTarget.dataset.portentId;
-        this.#togglePortent(dangerId, portentId);
+        this.#onToggleDone(this.#togglePortent(dangerId, portentId));
       });
     });
 
-    // Refresh button
-    html.querySelectorAll('[data-action="refresh"]').forEach(el => {
+    // Mark a secret to be seeded in the next session
+    html.querySelectorAll('[data-action="toggle-planned"]').forEach(el => {
       el.addEventListener('click', async ev => {
         ev.preventDefault();
-        this.#frontsData = null;
-        await this.#fetchFronts();
+        const { dangerId, secretId } = ev.currentTarget.dataset;
+        const secret = this.#getDanger(dangerId)?.danger.secrets?.find(s => s.id === secretId);
+        if (!secret) return;
+        await this.#applyOperations([
+          { op: 'replace', path: `${this.#dangerPath(dangerId)}/secrets/${secretId}/planned`, value: !secret.planned }
+        ]);
+      });
+    });
+
+    // Views and sessions
+    html.querySelectorAll('[data-action="switch-view"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        const { view, focusFront } = ev.currentTarget.dataset;
+        if (focusFront) return this.focusFront(focusFront);
+        this.#view = view;
+        this.#scrollPosition = 0;
         this.render();
-        ui.notifications.info('Fronten aktualisiert');
       });
     });
 
-    // =========================================================================
-    // EDIT ACTIONS
-    // =========================================================================
+    html.querySelectorAll('[data-action="start-session"]').forEach(el => {
+      el.addEventListener('click', async ev => {
+        ev.preventDefault();
+        const session = await startSession();
+        if (!session) return;
+        ui.notifications.info(format('Notify.SessionStarted', { label: session.label }));
+        this.render();
+      });
+    });
 
-    // Add new front
-    html.querySelectorAll('[data-action="add-front"]').forEach(el => {
+    html.querySelectorAll('[data-action="advance-fronts"]').forEach(el => {
       el.addEventListener('click', ev => {
         ev.preventDefault();
-        this.#showAddFrontDialog();
+        const existing = foundry.applications.instances.get('front-manager-advance');
+        (existing ?? new AdvanceWizardApp()).render({ force: true });
       });
     });
 
-    // Edit front name
-    html.querySelectorAll('[data-action="edit-front-name"]').forEach(el => {
+    // Import and export
+    html.querySelectorAll('[data-action="export-fronts"]').forEach(el => {
       el.addEventListener('click', ev => {
         ev.preventDefault();
-        ev.stopPropagation();
-        const frontId = ev.currentTarget.dataset.frontId;
-        this.#showEditTextDialog('Front Name', this.#getFront(frontId)?.name || '', async (newValue) => {
-          const front = this.#getFront(frontId);
-          if (front) {
-            front.name = newValue;
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
-          }
-        });
+        this.#showExportDialog();
       });
     });
 
-    // Add cast
-    html.querySelectorAll('[data-action="add-cast"]').forEach(el => {
+    html.querySelectorAll('[data-action="import-fronts"]').forEach(el => {
       el.addEventListener('click', ev => {
         ev.preventDefault();
-        const frontId = ev.currentTarget.dataset.frontId;
-        this.#showEditTextDialog('Neuer Cast-Eintrag', '', async (newValue) => {
-          const front = this.#getFront(frontId);
-          if (front) {
-            if (!front.cast) front.cast = [];
-            front.cast.push(newValue);
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
-          }
-        });
+        this.#showImportDialog();
       });
     });
 
-    // Edit cast
-    html.querySelectorAll('[data-action="edit-cast"]').forEach(el => {
+    // Undo, redo and change log
+    html.querySelectorAll('[data-action="undo"]').forEach(el => {
       el.addEventListener('click', ev => {
         ev.preventDefault();
-        const frontId = ev.currentTarget.dataset.frontId;
-        const index = parseInt(ev.currentTarget.dataset.index);
-        const front = this.#getFront(frontId);
-        this.#showEditTextDialog('Cast bearbeiten', front?.cast?.[index] || '', async (newValue) => {
-          if (front && front.cast) {
-            front.cast[index] = newValue;
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
-          }
-        });
+        this.#undo();
       });
     });
 
-    // Delete cast
-    html.querySelectorAll('[data-action="delete-cast"]').forEach(el => {
+    html.querySelectorAll('[data-action="redo"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        this.#redo();
+      });
+    });
+
+    html.querySelectorAll('[data-action="change-log"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        const existing = foundry.applications.instances.get('front-manager-change-log');
+        (existing ?? new ChangeLogApp()).render({ force: true });
+      });
+    });
+
+    // Refresh button
+    html.querySelectorAll('[data-action="refresh"]').forEach(el => {
+      el.addEventListener('click', async ev => {
+        ev.preventDefault();
+        this.#frontsData = null;
+        await this.#fetchFronts();
+        this.render();
+        ui.notifications.info(localize('FrontsUpdated'));
+      });
+    });
+
+    // Reset the session XP tally
+    html.querySelectorAll('[data-action="reset-session-xp"]').forEach(el => {
+      el.addEventListener('click', async ev => {
+        ev.preventDefault();
+        const confirmed = await confirmDialog(
+          localize('Dialog.ResetXpTitle'),
+          `<p>${localize('Dialog.ResetXpContent')}</p>`
+        );
+        if (!confirmed) return;
+        await resetSessionXp();
+        this.render();
+      });
+    });
+
+    // =========================================================================
+    // EDIT ACTIONS
+    // =========================================================================
+
+    // Add new front
+    html.querySelectorAll('[data-action="add-front"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        this.#showAddFrontDialog();
+      });
+    });
+
+    // Front status
+    html.querySelectorAll('[data-action="front-status"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        ev.stopPropagation();
+        this.#showStatusDialog('front', ev.currentTarget.dataset.frontId);
+      });
+    });
+
+    // Take an archived front up again
+    html.querySelectorAll('[data-action="restore-front"]').forEach(el => {
       el.addEventListener('click', async ev => {
         ev.preventDefault();
         const frontId = ev.currentTarget.dataset.frontId;
-        const index = parseInt(ev.currentTarget.dataset.index);
         const front = this.#getFront(frontId);
-        if (front && front.cast) {
-          front.cast.splice(index, 1);
-          await this.#saveFronts();
-          await this.#fetchFronts();
-          this.render();
+        if (!front) return;
+        await this.#applyOperations(statusOperations('front', this.#frontPath(frontId), front, 'active'), {
+          label: format('History.StatusChanged', { name: front.name, status: statusLabel('active') })
+        });
+      });
+    });
+
+    // Delete front
+    html.querySelectorAll('[data-action="delete-front"]').forEach(el => {
+      el.addEventListener('click', async ev => {
+        ev.preventDefault();
+        ev.stopPropagation();
+        const frontId = ev.currentTarget.dataset.frontId;
+        const front = this.#getFront(frontId);
+        if (!front) return;
+
+        const confirmed = await confirmDialog(
+          localize('Dialog.DeleteFrontTitle'),
+          `<p>${format('Dialog.DeleteFrontContent', { name: Handlebars.escapeExpression(front.name) })}</p>`
+        );
+        if (!confirmed) return;
+
+        if (await this.#applyOperations([{ op: 'remove', path: this.#frontPath(frontId) }])) {
+          this.#expandedFronts.delete(frontId);
         }
       });
     });
 
+    // Edit front name
+    html.querySelectorAll('[data-action="edit-front-name"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        ev.stopPropagation();
+        const frontId = ev.currentTarget.dataset.frontId;
+        this.#showEditTextDialog(localize('Dialog.EditFrontName'), this.#getFront(frontId)?.name || '', newValue => this.#applyOperations([
+          { op: 'replace', path: `${this.#frontPath(frontId)}/name`, value: newValue }
+        ]));
+      });
+    });
+
+    // Add cast
+    html.querySelectorAll('[data-action="add-cast"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        this.#showEntityDialog('cast', ev.currentTarget.dataset.frontId);
+      });
+    });
+
+    // Edit cast
+    html.querySelectorAll('[data-action="edit-cast"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        const { ownerId, entityId } = ev.currentTarget.dataset;
+        this.#showEntityDialog('cast', ownerId, entityId);
+      });
+    });
+
+    // Delete cast
+    html.querySelectorAll('[data-action="delete-cast"]').forEach(el => {
+      el.addEventListener('click', async ev => {
+        ev.preventDefault();
+        const { ownerId, entityId } = ev.currentTarget.dataset;
+        await this.#applyOperations([
+          { op: 'remove', path: `${this.#entityListPath('cast', ownerId)}/${entityId}` }
+        ]);
+      });
+    });
+
+    // Drop Actors, Scenes and Journals from the sidebar onto cast and locations
+    html.querySelectorAll('[data-drop-list]').forEach(el => {
+      el.addEventListener('dragover', ev => {
+        ev.preventDefault();
+        el.classList.add('drag-over');
+      });
+      el.addEventListener('dragleave', () => el.classList.remove('drag-over'));
+      el.addEventListener('drop', ev => {
+        ev.preventDefault();
+        el.classList.remove('drag-over');
+        this.#onDropEntity(ev, el.dataset.dropList, el.dataset.ownerId);
+      });
+    });
+
+    // Drag-and-drop sorting
+    html.querySelectorAll('.drag-handle').forEach(el => {
+      el.addEventListener('dragstart', ev => {
+        ev.stopPropagation();
+        const item = ev.currentTarget.closest('[data-sort-list]');
+        this.#dragSource = { list: item.dataset.sortList, key: item.dataset.sortKey };
+        ev.dataTransfer.effectAllowed = 'move';
+        ev.dataTransfer.setData('text/plain', JSON.stringify({ type: SORT_DRAG_TYPE }));
+        ev.dataTransfer.setDragImage(item, 0, 0);
+        item.classList.add('dragging');
+      });
+      el.addEventListener('dragend', () => {
+        this.#dragSource = null;
+        this.element?.querySelectorAll('.dragging, .drop-before, .drop-after, .drop-into').forEach(item => {
+          item.classList.remove('dragging', 'drop-before', 'drop-after', 'drop-into');
+        });
+      });
+    });
+
+    html.querySelectorAll('[data-sort-list]').forEach(el => {
+      el.addEventListener('dragover', ev => {
+        const drop = this.#getSortDrop(el, ev);
+        if (!drop) return;
+        ev.preventDefault();
+        ev.stopPropagation();
+        el.classList.toggle('drop-into', !drop.target);
+        el.classList.toggle('drop-before', !!drop.target && !drop.target.after);
+        el.classList.toggle('drop-after', !!drop.target?.after);
+      });
+      el.addEventListener('dragleave', ev => {
+        if (el.contains(ev.relatedTarget)) return;
+        el.classList.remove('drop-before', 'drop-after', 'drop-into');
+      });
+      el.addEventListener('drop', ev => {
+        const drop = this.#getSortDrop(el, ev);
+        if (!drop) return;
+        ev.preventDefault();
+        ev.stopPropagation();
+        el.classList.remove('drop-before', 'drop-after', 'drop-into');
+        this.#moveItem(drop);
+      });
+    });
+
+    // Open a linked document
+    html.querySelectorAll('[data-action="open-document"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        this.#openDocument(ev.currentTarget.dataset.uuid);
+      });
+    });
+
     // Add stake
     html.querySelectorAll('[data-action="add-stake"]').forEach(el => {
       el.addEventListener('click', ev => {
         ev.preventDefault();
         const frontId = ev.currentTarget.dataset.frontId;
-        this.#showEditTextDialog('Neuer Stake', '', async (newValue) => {
-          const front = this.#getFront(frontId);
-          if (front) {
-            if (!front.stakes) front.stakes = [];
-            front.stakes.push(newValue);
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
-          }
-        });
+        this.#showEditTextDialog(localize('Dialog.AddStake'), '', newValue => this.#applyOperations([
+          { op: 'add', path: `${this.#frontPath(frontId)}/stakes`, value: newValue }
+        ]));
       });
     });
 
@@ -400,14 +1451,9 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
         const frontId = ev.currentTarget.dataset.frontId;
         const index = parseInt(ev.currentTarget.dataset.index);
         const front = this.#getFront(frontId);
-        this.#showEditTextDialog('Stake bearbeiten', front?.stakes?.[index] || '', async (newValue) => {
-          if (front && front.stakes) {
-            front.stakes[index] = newValue;
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
-          }
-        });
+        this.#showEditTextDialog(localize('Dialog.EditStake'), front?.stakes?.[index] || '', newValue => this.#applyOperations([
+          { op: 'replace', path: `${this.#frontPath(frontId)}/stakes/${index}`, value: newValue }
+        ]));
       });
     });
 
@@ -417,13 +1463,37 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
         ev.preventDefault();
         const frontId = ev.currentTarget.dataset.frontId;
         const index = parseInt(ev.currentTarget.dataset.index);
-        const front = this.#getFront(frontId);
-        if (front && front.stakes) {
-          front.stakes.splice(index, 1);
-          await this.#saveFronts();
-          await this.#fetchFronts();
-          this.render();
-        }
+        await this.#applyOperations([
+          { op: 'remove', path: `${this.#frontPath(frontId)}/stakes/${index}` }
+        ]);
+      });
+    });
+
+    // Add player hook
+    html.querySelectorAll('[data-action="add-player-hook"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        this.#showPlayerHookDialog(ev.currentTarget.dataset.frontId);
+      });
+    });
+
+    // Edit player hook
+    html.querySelectorAll('[data-action="edit-player-hook"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        const { frontId, hookId } = ev.currentTarget.dataset;
+        this.#showPlayerHookDialog(frontId, hookId);
+      });
+    });
+
+    // Delete player hook
+    html.querySelectorAll('[data-action="delete-player-hook"]').forEach(el => {
+      el.addEventListener('click', async ev => {
+        ev.preventDefault();
+        const { frontId, hookId } = ev.currentTarget.dataset;
+        await this.#applyOperations([
+          { op: 'remove', path: `${this.#frontPath(frontId)}/playerHooks/${hookId}` }
+        ]);
       });
     });
 
@@ -442,7 +1512,17 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
         ev.preventDefault();
         ev.stopPropagation();
         const dangerId = ev.currentTarget.dataset.dangerId;
-        this.#showEditDangerDialog(dangerId);
+        this.#withDangerLock(dangerId, release => this.#showEditDangerDialog(dangerId, release));
+      });
+    });
+
+    // Danger status
+    html.querySelectorAll('[data-action="danger-status"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        ev.stopPropagation();
+        const dangerId = ev.currentTarget.dataset.dangerId;
+        this.#withDangerLock(dangerId, release => this.#showStatusDialog('danger', dangerId, release));
       });
     });
 
@@ -451,22 +1531,17 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
       el.addEventListener('click', async ev => {
         ev.preventDefault();
         ev.stopPropagation();
-        const frontId = ev.currentTarget.dataset.frontId;
         const dangerId = ev.currentTarget.dataset.dangerId;
 
-        const confirmed = await Dialog.confirm({
-          title: 'Danger löschen',
-          content: '<p>Diesen Danger wirklich löschen?</p>'
-        });
+        const confirmed = await confirmDialog(
+          localize('Dialog.DeleteDangerTitle'),
+          `<p>${localize('Dialog.DeleteDangerContent')}</p>`
+        );
 
         if (confirmed) {
-          const front = this.#getFront(frontId);
-          if (front) {
-            front.dangers = front.dangers.filter(d => d.id !== dangerId);
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
-          }
+          await this.#applyOperations([
+            { op: 'remove', path: this.#dangerPath(dangerId) }
+          ]);
         }
       });
     });
@@ -477,14 +1552,9 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
         ev.preventDefault();
         const dangerId = ev.currentTarget.dataset.dangerId;
         const result = this.#getDanger(dangerId);
-        this.#showEditTextDialog('Impulse bearbeiten', result?.danger?.impulse || '', async (newValue) => {
-          if (result?.danger) {
-            result.danger.impulse = newValue;
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
-          }
-        });
+        this.#withDangerLock(dangerId, release => this.#showEditTextDialog(localize('Dialog.EditImpulse'), result?.danger?.impulse || '', newValue => this.#applyOperations([
+          { op: 'replace', path: `${this.#dangerPath(dangerId)}/impulse`, value: newValue }
+        ]), release));
       });
     });
 
@@ -494,14 +1564,9 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
         ev.preventDefault();
         const dangerId = ev.currentTarget.dataset.dangerId;
         const result = this.#getDanger(dangerId);
-        this.#showEditTextDialog('Impending Doom bearbeiten', result?.danger?.impendingDoom || '', async (newValue) => {
-          if (result?.danger) {
-            result.danger.impendingDoom = newValue;
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
-          }
-        });
+        this.#withDangerLock(dangerId, release => this.#showEditTextDialog(localize('Dialog.EditDoom'), result?.danger?.impendingDoom || '', newValue => this.#applyOperations([
+          { op: 'replace', path: `${this.#dangerPath(dangerId)}/impendingDoom`, value: newValue }
+        ]), release));
       });
     });
 
@@ -510,20 +1575,15 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
       el.addEventListener('click', ev => {
         ev.preventDefault();
         const dangerId = ev.currentTarget.dataset.dangerId;
-        this.#showEditTextDialog('Neues Grim Portent', '', async (newValue) => {
-          const result = this.#getDanger(dangerId);
-          if (result?.danger) {
-            if (!result.danger.grimPortents) result.danger.grimPortents = [];
-            result.danger.grimPortents.push({
-              id: this.#generateId('portent'),
-              text: newValue,
-              completed: false
-            });
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
+        this.#showEditTextDialog(localize('Dialog.AddPortent'), '', newValue => this.#applyOperations([{
+          op: 'add',
+          path: `${this.#dangerPath(dangerId)}/grimPortents`,
+          value: {
+            ...createDefaults('portent'),
+            id: this.#generateId('portent'),
+            text: newValue
           }
-        });
+        }]));
       });
     });
 
@@ -535,14 +1595,9 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
         const portentId = ev.currentTarget.dataset.portentId;
         const result = this.#getDanger(dangerId);
         const portent = result?.danger?.grimPortents?.find(p => p.id === portentId);
-        this.#showEditTextDialog('Portent bearbeiten', portent?.text || '', async (newValue) => {
-          if (portent) {
-            portent.text = newValue;
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
-          }
-        });
+        this.#withDangerLock(dangerId, release => this.#showEditTextDialog(localize('Dialog.EditPortent'), portent?.text || '', newValue => this.#applyOperations([
+          { op: 'replace', path: `${this.#dangerPath(dangerId)}/grimPortents/${portentId}/text`, value: newValue }
+        ]), release));
       });
     });
 
@@ -552,13 +1607,9 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
         ev.preventDefault();
         const dangerId = ev.currentTarget.dataset.dangerId;
         const portentId = ev.currentTarget.dataset.portentId;
-        const result = this.#getDanger(dangerId);
-        if (result?.danger?.grimPortents) {
-          result.danger.grimPortents = result.danger.grimPortents.filter(p => p.id !== portentId);
-          await this.#saveFronts();
-          await this.#fetchFronts();
-          this.render();
-        }
+        await this.#applyOperations([
+          { op: 'remove', path: `${this.#dangerPath(dangerId)}/grimPortents/${portentId}` }
+        ]);
       });
     });
 
@@ -579,7 +1630,8 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
         const secretId = ev.currentTarget.dataset.secretId;
         const result = this.#getDanger(dangerId);
         const secret = result?.danger?.secrets?.find(s => s.id === secretId);
-        this.#showEditSecretDialog(dangerId, secret);
+        if (!secret) return;
+        this.#withDangerLock(dangerId, release => this.#showEditSecretDialog(dangerId, secret, release));
       });
     });
 
@@ -589,13 +1641,9 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
         ev.preventDefault();
         const dangerId = ev.currentTarget.dataset.dangerId;
         const secretId = ev.currentTarget.dataset.secretId;
-        const result = this.#getDanger(dangerId);
-        if (result?.danger?.secrets) {
-          result.danger.secrets = result.danger.secrets.filter(s => s.id !== secretId);
-          await this.#saveFronts();
-          await this.#fetchFronts();
-          this.render();
-        }
+        await this.#applyOperations([
+          { op: 'remove', path: `${this.#dangerPath(dangerId)}/secrets/${secretId}` }
+        ]);
       });
     });
 
@@ -603,17 +1651,7 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
     html.querySelectorAll('[data-action="add-location"]').forEach(el => {
       el.addEventListener('click', ev => {
         ev.preventDefault();
-        const dangerId = ev.currentTarget.dataset.dangerId;
-        this.#showEditTextDialog('Neue Location', '', async (newValue) => {
-          const result = this.#getDanger(dangerId);
-          if (result?.danger) {
-            if (!result.danger.locations) result.danger.locations = [];
-            result.danger.locations.push(newValue);
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
-          }
-        });
+        this.#showEntityDialog('location', ev.currentTarget.dataset.dangerId);
       });
     });
 
@@ -621,17 +1659,8 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
     html.querySelectorAll('[data-action="edit-location"]').forEach(el => {
       el.addEventListener('click', ev => {
         ev.preventDefault();
-        const dangerId = ev.currentTarget.dataset.dangerId;
-        const index = parseInt(ev.currentTarget.dataset.index);
-        const result = this.#getDanger(dangerId);
-        this.#showEditTextDialog('Location bearbeiten', result?.danger?.locations?.[index] || '', async (newValue) => {
-          if (result?.danger?.locations) {
-            result.danger.locations[index] = newValue;
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
-          }
-        });
+        const { ownerId, entityId } = ev.currentTarget.dataset;
+        this.#withDangerLock(ownerId, release => this.#showEntityDialog('location', ownerId, entityId, release));
       });
     });
 
@@ -639,330 +1668,826 @@ class FrontManagerApp extends HandlebarsApplicationMixin(ApplicationV2) {
     html.querySelectorAll('[data-action="delete-location"]').forEach(el => {
       el.addEventListener('click', async ev => {
         ev.preventDefault();
-        const dangerId = ev.currentTarget.dataset.dangerId;
-        const index = parseInt(ev.currentTarget.dataset.index);
-        const result = this.#getDanger(dangerId);
-        if (result?.danger?.locations) {
-          result.danger.locations.splice(index, 1);
-          await this.#saveFronts();
-          await this.#fetchFronts();
-          this.render();
+        const { ownerId, entityId } = ev.currentTarget.dataset;
+        await this.#applyOperations([
+          { op: 'remove', path: `${this.#entityListPath('location', ownerId)}/${entityId}` }
+        ]);
+      });
+    });
+  }
+
+  // -------------------------------------------------------------------------
+  // Search
+  // -------------------------------------------------------------------------
+
+  /**
+   * Update the filters and re-render. A new search query expands every
+   * front and danger it matches; they stay expanded after the search.
+   */
+  #setFilters(changes) {
+    const queryChanged = 'query' in changes && changes.query.trim() !== this.#filters.query.trim();
+    this.#filters = { ...this.#filters, ...changes };
+
+    if (queryChanged && this.#filters.query.trim()) {
+      for (const { front, matched, dangers } of filterFronts(sanitizeFronts(this.#frontsData?.fronts), this.#filters)) {
+        if (matched) this.#expandedFronts.add(front.id);
+        for (const { danger, matched: dangerMatched } of dangers) {
+          if (dangerMatched) this.#expandedDangers.add(danger.id);
         }
+      }
+    }
+
+    this.render();
+  }
+
+  // -------------------------------------------------------------------------
+  // Undo / Redo
+  // -------------------------------------------------------------------------
+
+  /**
+   * Add a change to the undo history, unless it is an undo or redo itself.
+   * Operations are copied, since applying them puts their values into the
+   * live data.
+   */
+  #record(entry) {
+    if (this.#replaying) return;
+    history.record(foundry.utils.deepClone(entry));
+  }
+
+  async #undo() {
+    const entry = history.peekUndo();
+    if (!entry || this.#replaying) return;
+
+    const done = await this.#replay(entry, entry.inverse);
+    if (done) {
+      history.undone(entry);
+      ui.notifications.info(format('Notify.Undone', { label: entry.label }));
+    } else {
+      history.discard(entry);
+      ui.notifications.warn(format('Notify.CannotUndo', { label: entry.label }));
+    }
+  }
+
+  async #redo() {
+    const entry = history.peekRedo();
+    if (!entry || this.#replaying) return;
+
+    const done = await this.#replay(entry, entry.operations);
+    if (done) {
+      history.redone(entry);
+      ui.notifications.info(format('Notify.Redone', { label: entry.label }));
+    } else {
+      history.discard(entry);
+      ui.notifications.warn(format('Notify.CannotRedo', { label: entry.label }));
+    }
+  }
+
+  /**
+   * Apply one side of a history entry. Toggles are their own inverse.
+   * @returns {Promise<boolean>}  False if the change no longer applies
+   */
+  async #replay(entry, operations) {
+    this.#replaying = true;
+    try {
+      if (entry.toggle) {
+        const { type, dangerId, id } = entry.toggle;
+        const danger = this.#getDanger(dangerId)?.danger;
+        const list = type === 'secret' ? danger?.secrets : danger?.grimPortents;
+        if (!list?.some(item => item.id === id)) return false;
+
+        return type === 'secret'
+          ? await this.#toggleSecret(dangerId, id)
+          : await this.#togglePortent(dangerId, id);
+      }
+      return await this.#applyOperations(foundry.utils.deepClone(operations));
+    } finally {
+      this.#replaying = false;
+    }
+  }
+
+  #onKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    // Text fields keep their own undo
+    if (event.target.closest('input, textarea, select, [contenteditable]')) return;
+
+    const key = event.key.toLowerCase();
+    const redo = (key === 'z' && event.shiftKey) || key === 'y';
+    if (key !== 'z' && !redo) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    if (redo) this.#redo();
+    else this.#undo();
+  }
+
+  #updateHistoryButtons() {
+    const undo = this.element?.querySelector('[data-action="undo"]');
+    const redo = this.element?.querySelector('[data-action="redo"]');
+    if (undo) {
+      undo.disabled = !history.canUndo;
+      undo.title = history.canUndo ? format('Tooltip.UndoEntry', { label: history.peekUndo().label }) : localize('Tooltip.Undo');
+    }
+    if (redo) {
+      redo.disabled = !history.canRedo;
+      redo.title = history.canRedo ? format('Tooltip.RedoEntry', { label: history.peekRedo().label }) : localize('Tooltip.Redo');
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Drag-and-Drop Sorting
+  // -------------------------------------------------------------------------
+
+  /**
+   * Where the dragged item would land when dropped on `el`, or null if it
+   * can't go there. Items move within their own list; dangers can also go
+   * to another front's list, or onto a front to be appended there.
+   * @returns {{from: string, toList: string, target: {key: string, after: boolean}|null}|null}
+   */
+  #getSortDrop(el, event) {
+    const source = this.#dragSource;
+    if (!source) return null;
+
+    const { sortList, sortKey } = el.dataset;
+    if (sortList === source.list && sortKey === source.key) return null;
+
+    const from = `${source.list}/${source.key}`;
+    const rect = el.getBoundingClientRect();
+    const target = { key: sortKey, after: event.clientY > rect.top + rect.height / 2 };
+    if (sortList === source.list) return { from, toList: sortList, target };
+
+    const isDangerList = list => /^fronts\/[^/]+\/dangers$/.test(list);
+    if (!isDangerList(source.list)) return null;
+    if (isDangerList(sortList)) return { from, toList: sortList, target };
+    if (sortList === 'fronts') return { from, toList: `fronts/${sortKey}/dangers`, target: null };
+    return null;
+  }
+
+  async #moveItem({ from, toList, target }) {
+    let operations;
+    try {
+      operations = moveOperations(this.#frontsData, from, toList, target ?? {});
+    } catch (err) {
+      console.error('[FrontManager] Failed to move item:', err);
+      return;
+    }
+    if (!operations.length) return;
+
+    // Show a danger that moved to a collapsed front
+    const frontId = toList.match(/^fronts\/([^/]+)\/dangers$/)?.[1];
+    if (frontId) this.#expandedFronts.add(frontId);
+
+    await this.#applyOperations(operations);
+  }
+
+  // -------------------------------------------------------------------------
+  // Cast and Locations
+  // -------------------------------------------------------------------------
+
+  /**
+   * @param {string} list     'cast' (owned by a front) or 'location' (owned by a danger)
+   * @param {string} ownerId
+   */
+  #entityListPath(list, ownerId) {
+    return list === 'cast'
+      ? `${this.#frontPath(ownerId)}/cast`
+      : `${this.#dangerPath(ownerId)}/locations`;
+  }
+
+  #getEntityList(list, ownerId) {
+    const entries = list === 'cast'
+      ? this.#getFront(ownerId)?.cast
+      : this.#getDanger(ownerId)?.danger.locations;
+    return entries || [];
+  }
+
+  #canLink(list, type) {
+    return LINK_TYPES[list === 'cast' ? 'cast' : 'locations'].includes(type);
+  }
+
+  async #onDropEntity(event, list, ownerId) {
+    const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(event);
+    if (data?.type === SORT_DRAG_TYPE) return;
+    if (!data?.uuid || !this.#canLink(list, data.type)) {
+      ui.notifications.warn(localize(list === 'cast' ? 'Notify.CastActorsOnly' : 'Notify.LocationDocumentsOnly'));
+      return;
+    }
+
+    const doc = await fromUuid(data.uuid);
+    if (!doc) return;
+    if (this.#getEntityList(list, ownerId).some(e => e.uuid === doc.uuid)) {
+      ui.notifications.info(format('Notify.AlreadyLinked', { name: doc.name }));
+      return;
+    }
+
+    const saved = await this.#applyOperations([{
+      op: 'add',
+      path: this.#entityListPath(list, ownerId),
+      value: { ...createDefaults('entity'), id: this.#generateId(list), name: doc.name, uuid: doc.uuid }
+    }]);
+    if (saved) ui.notifications.info(format('Notify.Added', { name: doc.name }));
+  }
+
+  async #openDocument(uuid) {
+    const doc = await fromUuid(uuid);
+    if (!doc) {
+      ui.notifications.warn(localize('Notify.LinkMissing'));
+      return;
+    }
+    if (doc instanceof Scene) return doc.view();
+    if (doc instanceof JournalEntryPage) return doc.parent.sheet.render(true, { pageId: doc.id });
+    doc.sheet.render(true);
+  }
+
+  // -------------------------------------------------------------------------
+  // Relationship Graph
+  // -------------------------------------------------------------------------
+
+  /**
+   * Pan by dragging the background, zoom with the mouse wheel around the
+   * pointer, and click a node to show it in the tree. The view is kept
+   * across re-renders.
+   */
+  #addGraphListeners(html) {
+    const svg = html.querySelector('.relationship-graph');
+    if (!svg) return;
+    const viewport = svg.querySelector('.graph-viewport');
+    const view = this.#graphTransform;
+    const apply = () => viewport.setAttribute('transform', `translate(${view.x} ${view.y}) scale(${view.k})`);
+    // Pointer position in the coordinates of the viewBox
+    const toSvg = ev => new DOMPoint(ev.clientX, ev.clientY).matrixTransform(svg.getScreenCTM().inverse());
+
+    svg.addEventListener('wheel', ev => {
+      ev.preventDefault();
+      const point = toSvg(ev);
+      const factor = ev.deltaY < 0 ? GRAPH_ZOOM.step : 1 / GRAPH_ZOOM.step;
+      const k = Math.clamp(view.k * factor, GRAPH_ZOOM.min, GRAPH_ZOOM.max);
+      view.x = point.x - (point.x - view.x) * k / view.k;
+      view.y = point.y - (point.y - view.y) * k / view.k;
+      view.k = k;
+      apply();
+    }, { passive: false });
+
+    let drag = null;
+    svg.addEventListener('pointerdown', ev => {
+      if (ev.button !== 0 || ev.target.closest('.graph-node')) return;
+      drag = { start: toSvg(ev), x: view.x, y: view.y };
+      svg.setPointerCapture(ev.pointerId);
+      svg.classList.add('panning');
+    });
+    svg.addEventListener('pointermove', ev => {
+      if (!drag) return;
+      const point = toSvg(ev);
+      view.x = drag.x + point.x - drag.start.x;
+      view.y = drag.y + point.y - drag.start.y;
+      apply();
+    });
+    const endDrag = () => {
+      drag = null;
+      svg.classList.remove('panning');
+    };
+    svg.addEventListener('pointerup', endDrag);
+    svg.addEventListener('pointercancel', endDrag);
+
+    html.querySelectorAll('[data-action="graph-reset"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        Object.assign(view, { x: 0, y: 0, k: 1 });
+        apply();
       });
     });
+
+    svg.querySelectorAll('[data-action="graph-focus"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        const { frontId, dangerId } = ev.currentTarget.dataset;
+        if (dangerId) this.#focusDanger(frontId, dangerId);
+        else this.focusFront(frontId);
+      });
+    });
+  }
+
+  /**
+   * Switch to the tree with a danger expanded and scrolled into view.
+   */
+  async #focusDanger(frontId, dangerId) {
+    this.#view = 'fronts';
+    this.#expandedFronts.add(frontId);
+    this.#expandedDangers.add(dangerId);
+    await this.render(true);
+    this.element.querySelector(`.danger-item[data-danger-id="${dangerId}"]`)?.scrollIntoView({ block: 'start' });
   }
 
   // -------------------------------------------------------------------------
   // Dialogs
   // -------------------------------------------------------------------------
 
-  #showEditTextDialog(title, currentValue, onSave) {
-    new Dialog({
-      title: title,
-      content: `
-        <form class="front-edit-dialog">
-          <div class="form-group">
-            <textarea name="value" rows="3">${currentValue}</textarea>
-          </div>
-        </form>
-      `,
-      buttons: {
-        save: {
-          icon: '<i class="fas fa-save"></i>',
-          label: 'Speichern',
-          callback: async (html) => {
-            const value = html.find('[name="value"]').val().trim();
-            if (value) {
-              await onSave(value);
-              ui.notifications.info('Gespeichert');
-            }
-          }
-        },
-        cancel: {
-          icon: '<i class="fas fa-times"></i>',
-          label: 'Abbrechen'
-        }
-      },
-      default: 'save'
-    }).render(true);
-  }
-
-  #showAddFrontDialog() {
-    new Dialog({
-      title: 'Neue Front erstellen',
-      content: `
-        <form class="front-edit-dialog">
-          <div class="form-group">
-            <label>Name</label>
-            <input type="text" name="name" placeholder="Name der Front">
-          </div>
-          <div class="form-group">
-            <label>Typ</label>
-            <select name="type">
-              <option value="campaign">Kampagnenfront</option>
-              <option value="adventure">Adventure Front</option>
-            </select>
-          </div>
-        </form>
-      `,
-      buttons: {
-        save: {
-          icon: '<i class="fas fa-save"></i>',
-          label: 'Erstellen',
-          callback: async (html) => {
-            const name = html.find('[name="name"]').val().trim();
-            const type = html.find('[name="type"]').val();
-            if (name) {
-              const newFront = {
-                id: this.#generateId('front'),
-                name: name,
-                type: type,
-                cast: [],
-                stakes: [],
-                playerHooks: [],
-                dangers: []
-              };
-              this.#frontsData.fronts.push(newFront);
-              await this.#saveFronts();
-              await this.#fetchFronts();
-              this.#expandedFronts.add(newFront.id);
-              this.render();
-              ui.notifications.info(`Front "${name}" erstellt`);
-            }
-          }
-        },
-        cancel: {
-          icon: '<i class="fas fa-times"></i>',
-          label: 'Abbrechen'
-        }
-      },
-      default: 'save'
-    }).render(true);
-  }
-
-  #showAddDangerDialog(frontId) {
-    new Dialog({
-      title: 'Neuen Danger erstellen',
-      content: `
-        <form class="front-edit-dialog">
-          <div class="form-group">
-            <label>Name</label>
-            <input type="text" name="name" placeholder="Name des Dangers">
-          </div>
-          <div class="form-group">
-            <label>Typ (z.B. "Ambitious Organizations", "Cursed Places")</label>
-            <input type="text" name="dangerType" placeholder="Danger-Typ">
-          </div>
-          <div class="form-group">
-            <label>Impulse</label>
-            <input type="text" name="impulse" placeholder="to...">
-          </div>
-          <div class="form-group">
-            <label>Impending Doom</label>
-            <input type="text" name="doom" placeholder="Destruction, Usurpation, etc.">
-          </div>
-        </form>
-      `,
-      buttons: {
-        save: {
-          icon: '<i class="fas fa-save"></i>',
-          label: 'Erstellen',
-          callback: async (html) => {
-            const name = html.find('[name="name"]').val().trim();
-            const dangerType = html.find('[name="dangerType"]').val().trim();
-            const impulse = html.find('[name="impulse"]').val().trim();
-            const doom = html.find('[name="doom"]').val().trim();
-
-            if (name) {
-              const front = this.#getFront(frontId);
-              if (front) {
-                const newDanger = {
-                  id: this.#generateId('danger'),
-                  name: name,
-                  dangerType: dangerType || 'Unknown',
-                  impulse: impulse || 'to cause chaos',
-                  impendingDoom: doom || 'Destruction',
-                  grimPortents: [],
-                  secrets: [],
-                  locations: []
-                };
-                front.dangers.push(newDanger);
-                await this.#saveFronts();
-                await this.#fetchFronts();
-                this.#expandedDangers.add(newDanger.id);
-                this.render();
-                ui.notifications.info(`Danger "${name}" erstellt`);
-              }
-            }
-          }
-        },
-        cancel: {
-          icon: '<i class="fas fa-times"></i>',
-          label: 'Abbrechen'
-        }
+  /**
+   * Open an editor for a danger under a soft lock. If another GM is already
+   * editing it, ask before opening a second editor.
+   * @param {string} dangerId
+   * @param {Function} open  Opens the editor, receives a callback for when it closes
+   */
+  async #withDangerLock(dangerId, open) {
+    const key = `danger:${dangerId}`;
+    const holder = softLocks.getHolder(key);
+    if (holder) {
+      const name = this.#getDanger(dangerId)?.danger.name ?? '';
+      const confirmed = await confirmDialog(
+        localize('Dialog.DangerLockedTitle'),
+        `<p>${format('Dialog.DangerLockedContent', {
+          user: Handlebars.escapeExpression(holder.name),
+          danger: Handlebars.escapeExpression(name)
+        })}</p>`
+      );
+      if (!confirmed) return;
+    }
+
+    softLocks.acquire(key);
+    open(() => softLocks.release(key));
+  }
+
+  async #showEditTextDialog(title, currentValue, onSave, onClose) {
+    const data = await FormDialog.prompt({
+      title,
+      icon: 'fa-pen',
+      template: 'text',
+      data: { value: currentValue }
+    });
+    const value = data?.value.trim();
+    if (value && await onSave(value) !== false) {
+      ui.notifications.info(localize('Notify.Saved'));
+    }
+    onClose?.();
+  }
+
+  /**
+   * Change the status and outcome of a front or danger.
+   * @param {'front'|'danger'} kind
+   */
+  async #showStatusDialog(kind, id, onClose) {
+    const item = kind === 'front' ? this.#getFront(id) : this.#getDanger(id)?.danger;
+    if (!item) return onClose?.();
+
+    // Ending a danger records what is still open
+    const open = kind === 'danger' && !isEnded(item.status) ? openItems(item) : null;
+    const data = await FormDialog.prompt({
+      title: localize(kind === 'front' ? 'Dialog.FrontStatus' : 'Dialog.DangerStatus'),
+      icon: 'fa-flag',
+      template: 'status',
+      data: {
+        statuses: statusOptions(kind, item.status),
+        outcome: item.outcome,
+        open: open && { portents: open.portents.length, secrets: open.secrets.length }
+      }
+    });
+    onClose?.();
+    if (!data) return;
+
+    const path = kind === 'front' ? this.#frontPath(id) : this.#dangerPath(id);
+    const operations = statusOperations(kind, path, item, data.status, data.outcome.trim());
+    if (!operations.length) return;
+    await this.#applyOperations(operations, {
+      label: format('History.StatusChanged', { name: item.name, status: statusLabel(data.status) })
+    });
+  }
+
+  async #showExportDialog() {
+    const fronts = this.#frontsData?.fronts || [];
+    if (!fronts.length) {
+      ui.notifications.warn(localize('Notify.NothingToExport'));
+      return;
+    }
+
+    const data = await FormDialog.prompt({
+      title: localize('Dialog.ExportTitle'),
+      icon: 'fa-file-export',
+      template: 'export',
+      data: { fronts },
+      submit: { label: localize('Dialog.Export'), icon: 'fa-file-export' }
+    });
+    if (!data) return;
+
+    const selected = data.front ? fronts.filter(f => f.id === data.front) : fronts;
+    const name = data.front ? selected[0].name.slugify() : localize('Export.FileName');
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (data.format === 'markdown') {
+      foundry.utils.saveDataToFile(frontsToMarkdown(selected), 'text/markdown', `${name}-${date}.md`);
+    } else {
+      foundry.utils.saveDataToFile(frontsToJson(selected), 'application/json', `${name}-${date}.json`);
+    }
+  }
+
+  #showImportDialog() {
+    const existing = foundry.applications.instances.get('front-manager-import');
+    if (existing) return existing.render({ force: true });
+
+    new ImportApp({
+      generateId: prefix => this.#generateId(prefix),
+      apply: (operations, label) => this.#applyOperations(operations, { label })
+    }).render({ force: true });
+  }
+
+  async #showAddFrontDialog() {
+    const data = await FormDialog.prompt({
+      title: localize('Dialog.AddFront'),
+      icon: 'fa-flag',
+      template: 'front',
+      data: { type: 'campaign' },
+      submit: { label: localize('Dialog.Create'), icon: 'fa-save' }
+    });
+    const name = data?.name.trim();
+    if (!name) return;
+
+    const newFront = {
+      ...createDefaults('front'),
+      id: this.#generateId('front'),
+      name: name,
+      type: data.type
+    };
+    this.#expandedFronts.add(newFront.id);
+    if (await this.#applyOperations([{ op: 'add', path: 'fronts', value: newFront }])) {
+      ui.notifications.info(format('Notify.FrontCreated', { name }));
+    }
+  }
+
+  /**
+   * Template data for the danger form. Completed portents and revealed
+   * secrets are marked, but toggled in the main window as before, so hooks
+   * and stamps stay in one place.
+   */
+  #dangerFormData(danger) {
+    return {
+      ...danger,
+      secrets: (danger.secrets || []).map(secret => ({ ...secret, xpOptions: xpOptions(secret.xp) })),
+      xpOptions: xpOptions(DEFAULT_SECRET_XP),
+      defaultXp: DEFAULT_SECRET_XP
+    };
+  }
+
+  #showDangerForm(title, danger) {
+    return FormDialog.prompt({
+      title,
+      icon: 'fa-skull',
+      template: 'danger',
+      width: 560,
+      data: this.#dangerFormData(danger),
+      submit: danger.id ? {} : { label: localize('Dialog.Create'), icon: 'fa-save' },
+      validators: {
+        'location-link': uuid => (uuid && !this.#canLink('location', documentType(uuid))
+          ? localize('Notify.LocationDocumentsOnly')
+          : null)
       },
-      default: 'save'
-    }).render(true);
+      onRender: form => this.#addLinkDropTargets(form, 'location')
+    });
+  }
+
+  /**
+   * The lists of a submitted danger form, merged into the danger's current
+   * items so fields the form does not show are kept.
+   */
+  #dangerFormLists(danger, data) {
+    const merge = (kind, key, prefix, read) => formRows(data[key]).map(row => {
+      const current = (danger[key] || []).find(item => item.id === row.id);
+      return { ...createDefaults(kind), ...current, ...read(row), id: current?.id ?? this.#generateId(prefix) };
+    });
+
+    return {
+      grimPortents: merge('portent', 'grimPortents', 'portent', row => ({ text: row.text.trim() })),
+      secrets: merge('secret', 'secrets', 'secret', row => ({ text: row.text.trim(), xp: row.xp })),
+      locations: merge('entity', 'locations', 'location', row => ({
+        name: row.name.trim(),
+        description: row.description.trim(),
+        uuid: row.uuid.trim() || null
+      }))
+    };
+  }
+
+  async #showAddDangerDialog(frontId) {
+    const data = await this.#showDangerForm(localize('Dialog.AddDanger'), createDefaults('danger'));
+    if (!data) return;
+
+    const name = data.name.trim();
+    const newDanger = {
+      ...createDefaults('danger'),
+      id: this.#generateId('danger'),
+      name: name,
+      dangerType: data.dangerType.trim() || 'Unknown',
+      impulse: data.impulse.trim() || 'to cause chaos',
+      impendingDoom: data.impendingDoom.trim() || 'Destruction'
+    };
+    Object.assign(newDanger, this.#dangerFormLists(newDanger, data));
+
+    this.#expandedDangers.add(newDanger.id);
+    const saved = await this.#applyOperations([
+      { op: 'add', path: `${this.#frontPath(frontId)}/dangers`, value: newDanger }
+    ]);
+    if (saved) ui.notifications.info(format('Notify.DangerCreated', { name }));
   }
 
-  #showEditDangerDialog(dangerId) {
+  /**
+   * Edit all of a danger at once. Only the fields and lists that changed
+   * are saved.
+   */
+  async #showEditDangerDialog(dangerId, onClose) {
     const result = this.#getDanger(dangerId);
-    if (!result) return;
+    if (!result) return onClose?.();
     const danger = result.danger;
 
-    new Dialog({
-      title: `Danger bearbeiten: ${danger.name}`,
-      content: `
-        <form class="front-edit-dialog">
-          <div class="form-group">
-            <label>Name</label>
-            <input type="text" name="name" value="${danger.name}">
-          </div>
-          <div class="form-group">
-            <label>Typ</label>
-            <input type="text" name="dangerType" value="${danger.dangerType || ''}">
-          </div>
-          <div class="form-group">
-            <label>Impulse</label>
-            <input type="text" name="impulse" value="${danger.impulse || ''}">
-          </div>
-          <div class="form-group">
-            <label>Impending Doom</label>
-            <input type="text" name="doom" value="${danger.impendingDoom || ''}">
-          </div>
-        </form>
-      `,
-      buttons: {
-        save: {
-          icon: '<i class="fas fa-save"></i>',
-          label: 'Speichern',
-          callback: async (html) => {
-            danger.name = html.find('[name="name"]').val().trim();
-            danger.dangerType = html.find('[name="dangerType"]').val().trim();
-            danger.impulse = html.find('[name="impulse"]').val().trim();
-            danger.impendingDoom = html.find('[name="doom"]').val().trim();
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
-            ui.notifications.info('Danger aktualisiert');
-          }
-        },
-        cancel: {
-          icon: '<i class="fas fa-times"></i>',
-          label: 'Abbrechen'
-        }
+    const data = await this.#showDangerForm(localize('Dialog.EditDanger'), danger);
+    onClose?.();
+    if (!data) return;
+
+    const path = this.#dangerPath(dangerId);
+    const changes = {
+      name: data.name.trim(),
+      dangerType: data.dangerType.trim(),
+      impulse: data.impulse.trim(),
+      impendingDoom: data.impendingDoom.trim(),
+      ...this.#dangerFormLists(danger, data)
+    };
+    const operations = Object.entries(changes)
+      .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(danger[key]))
+      .map(([key, value]) => ({ op: 'replace', path: `${path}/${key}`, value }));
+    if (!operations.length) return;
+
+    if (await this.#applyOperations(operations)) ui.notifications.info(localize('Notify.DangerUpdated'));
+  }
+
+  /**
+   * The secret form, with the clues that can point at the danger's front
+   * cast and locations.
+   */
+  #showSecretForm(title, dangerId, secret, submit = {}) {
+    const [front] = sanitizeFronts([this.#getDanger(dangerId).front]);
+    const danger = front.dangers.find(d => d.id === dangerId);
+    return FormDialog.prompt({
+      title,
+      icon: 'fa-user-secret',
+      template: 'secret',
+      width: 560,
+      data: {
+        ...secret,
+        xpOptions: xpOptions(secret.xp),
+        clues: (secret.clues || []).map(clueFormRow),
+        targetGroups: clueTargetGroups(front, danger)
       },
-      default: 'save'
-    }).render(true);
-  }
-
-  #showAddSecretDialog(dangerId) {
-    new Dialog({
-      title: 'Neues Secret erstellen',
-      content: `
-        <form class="front-edit-dialog">
-          <div class="form-group">
-            <label>XP-Wert</label>
-            <select name="xp">
-              <option value="20">20xp (Leicht)</option>
-              <option value="30">30xp (Mittel)</option>
-              <option value="50">50xp (Schwer)</option>
-            </select>
-          </div>
-          <div class="form-group">
-            <label>Secret Text</label>
-            <textarea name="text" rows="3" placeholder="Das Geheimnis..."></textarea>
-          </div>
-        </form>
-      `,
-      buttons: {
-        save: {
-          icon: '<i class="fas fa-save"></i>',
-          label: 'Erstellen',
-          callback: async (html) => {
-            const xp = parseInt(html.find('[name="xp"]').val());
-            const text = html.find('[name="text"]').val().trim();
-
-            if (text) {
-              const result = this.#getDanger(dangerId);
-              if (result?.danger) {
-                if (!result.danger.secrets) result.danger.secrets = [];
-                result.danger.secrets.push({
-                  id: this.#generateId('secret'),
-                  xp: xp,
-                  text: text,
-                  revealed: false,
-                  revealedAt: null
-                });
-                await this.#saveFronts();
-                await this.#fetchFronts();
-                this.render();
-                ui.notifications.info('Secret erstellt');
-              }
-            }
-          }
-        },
-        cancel: {
-          icon: '<i class="fas fa-times"></i>',
-          label: 'Abbrechen'
+      submit,
+      validators: {
+        'clue-link': (uuid, input) => {
+          if (uuid) return this.#canLink('clue', documentType(uuid)) ? null : localize('Notify.ClueDocumentsOnly');
+          return input.closest('[data-row]').querySelector('select').value ? null : localize('Notify.ClueTargetMissing');
         }
       },
-      default: 'save'
-    }).render(true);
+      onRender: form => {
+        this.#addLinkDropTargets(form, 'clue');
+        this.#addClueListeners(form);
+      }
+    });
   }
 
-  #showEditSecretDialog(dangerId, secret) {
-    if (!secret) return;
+  /**
+   * A clue points either at a cast member or location from the select or
+   * at a dropped document, so filling in one clears the other.
+   */
+  #addClueListeners(form) {
+    form.addEventListener('input', ev => {
+      const row = ev.target.closest('.clue-row');
+      const select = row?.querySelector('select');
+      if (!select) return;
+      const uuid = row.querySelector('[data-validate="clue-link"]');
+      if (ev.target === select) {
+        if (select.value) uuid.value = '';
+        uuid.dispatchEvent(new Event('input', { bubbles: true }));
+      } else if (ev.target === uuid && uuid.value) {
+        select.value = '';
+      }
+    });
+  }
 
-    new Dialog({
-      title: 'Secret bearbeiten',
-      content: `
-        <form class="front-edit-dialog">
-          <div class="form-group">
-            <label>XP-Wert</label>
-            <select name="xp">
-              <option value="20" ${secret.xp === 20 ? 'selected' : ''}>20xp (Leicht)</option>
-              <option value="30" ${secret.xp === 30 ? 'selected' : ''}>30xp (Mittel)</option>
-              <option value="50" ${secret.xp === 50 ? 'selected' : ''}>50xp (Schwer)</option>
-            </select>
-          </div>
-          <div class="form-group">
-            <label>Secret Text</label>
-            <textarea name="text" rows="3">${secret.text}</textarea>
-          </div>
-        </form>
-      `,
-      buttons: {
-        save: {
-          icon: '<i class="fas fa-save"></i>',
-          label: 'Speichern',
-          callback: async (html) => {
-            secret.xp = parseInt(html.find('[name="xp"]').val());
-            secret.text = html.find('[name="text"]').val().trim();
-            await this.#saveFronts();
-            await this.#fetchFronts();
-            this.render();
-            ui.notifications.info('Secret aktualisiert');
-          }
-        },
-        cancel: {
-          icon: '<i class="fas fa-times"></i>',
-          label: 'Abbrechen'
-        }
+  /**
+   * The clues of a submitted secret form, keeping the ids of existing ones.
+   */
+  #secretFormClues(secret, data) {
+    return formRows(data.clues).map(row => {
+      const current = (secret.clues || []).find(clue => clue.id === row.id);
+      return {
+        ...createDefaults('clue'),
+        ...current,
+        ...clueTarget(row),
+        note: row.note.trim(),
+        id: current?.id ?? this.#generateId('clue')
+      };
+    });
+  }
+
+  async #showAddSecretDialog(dangerId) {
+    const data = await this.#showSecretForm(localize('Dialog.AddSecret'), dangerId, { xp: DEFAULT_SECRET_XP }, {
+      label: localize('Dialog.Create'),
+      icon: 'fa-save'
+    });
+    const text = data?.text.trim();
+    if (!text) return;
+
+    const saved = await this.#applyOperations([{
+      op: 'add',
+      path: `${this.#dangerPath(dangerId)}/secrets`,
+      value: {
+        ...createDefaults('secret'),
+        id: this.#generateId('secret'),
+        xp: data.xp,
+        text: text,
+        clues: this.#secretFormClues({}, data)
+      }
+    }]);
+    if (saved) ui.notifications.info(localize('Notify.SecretCreated'));
+  }
+
+  async #showEditSecretDialog(dangerId, secret, onClose) {
+    if (!secret) return onClose?.();
+
+    const data = await this.#showSecretForm(localize('Dialog.EditSecret'), dangerId, secret);
+    onClose?.();
+    const text = data?.text.trim();
+    if (!text) return;
+
+    const path = `${this.#dangerPath(dangerId)}/secrets/${secret.id}`;
+    const clues = this.#secretFormClues(secret, data);
+    const operations = [
+      { op: 'replace', path: `${path}/xp`, value: data.xp },
+      { op: 'replace', path: `${path}/text`, value: text }
+    ];
+    if (JSON.stringify(clues) !== JSON.stringify(secret.clues ?? [])) {
+      operations.push({ op: 'replace', path: `${path}/clues`, value: clues });
+    }
+    const saved = await this.#applyOperations(operations);
+    if (saved) ui.notifications.info(localize('Notify.SecretUpdated'));
+  }
+
+  /**
+   * Add a player hook, or edit the one with the id `hookId`.
+   */
+  async #showPlayerHookDialog(frontId, hookId = null) {
+    const list = this.#getFront(frontId)?.playerHooks || [];
+    const existing = hookId === null ? null : list.find(h => h?.id === hookId);
+    const hook = existing ?? {};
+
+    const characters = game.actors.filter(a => a.type === 'character')
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const data = await FormDialog.prompt({
+      title: localize(existing ? 'Dialog.EditPlayerHook' : 'Dialog.AddPlayerHook'),
+      icon: 'fa-user-tag',
+      template: 'player-hook',
+      data: { ...hook, characters: characters.map(a => ({ uuid: a.uuid, name: a.name })) }
+    });
+    const text = data?.text.trim();
+    if (!text) return;
+
+    const value = {
+      ...createDefaults('hook'),
+      id: hook.id ?? this.#generateId('hook'),
+      text,
+      actorUuid: data.actorUuid || null
+    };
+    const path = `${this.#frontPath(frontId)}/playerHooks`;
+    const saved = await this.#applyOperations([existing
+      ? { op: 'replace', path: `${path}/${hookId}`, value }
+      : { op: 'add', path, value }
+    ]);
+    if (saved) ui.notifications.info(localize('Notify.PlayerHookSaved'));
+  }
+
+  /**
+   * Let documents be dropped onto the link fields of a form. The name field
+   * next to an empty link is filled with the document's name.
+   */
+  #addLinkDropTargets(form, list) {
+    form.addEventListener('dragover', ev => {
+      if (ev.target.closest?.('[data-link-target]')) ev.preventDefault();
+    });
+    form.addEventListener('drop', ev => {
+      const input = ev.target.closest?.('[data-link-target]');
+      if (!input) return;
+      ev.preventDefault();
+      const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(ev);
+      if (!data?.uuid || !this.#canLink(list, data.type)) return;
+      input.value = data.uuid;
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+
+      const nameInput = (input.closest('[data-row]') ?? form).querySelector('input[name$="name"]');
+      if (nameInput && !nameInput.value) nameInput.value = fromUuidSync(data.uuid)?.name ?? '';
+    });
+  }
+
+  /**
+   * Add a cast member or location, or edit the one with `entityId`. A document
+   * can be linked by dropping it onto the link field.
+   */
+  async #showEntityDialog(list, ownerId, entityId = null, onClose) {
+    const entity = entityId ? this.#getEntityList(list, ownerId).find(e => e.id === entityId) : null;
+    if (entityId && !entity) return onClose?.();
+
+    const isCast = list === 'cast';
+    const title = localize(entity
+      ? (isCast ? 'Dialog.EditCast' : 'Dialog.EditLocation')
+      : (isCast ? 'Dialog.AddCast' : 'Dialog.AddLocation'));
+
+    const data = await FormDialog.prompt({
+      title,
+      icon: isCast ? 'fa-users' : 'fa-map-marker-alt',
+      template: 'entity',
+      data: { ...entity, list, isCast },
+      validators: {
+        [`${list}-link`]: uuid => (uuid && !this.#canLink(list, documentType(uuid))
+          ? localize('Notify.CannotLink')
+          : null)
       },
-      default: 'save'
-    }).render(true);
+      onRender: form => this.#addLinkDropTargets(form, list)
+    });
+    onClose?.();
+    if (!data) return;
+
+    const name = data.name.trim();
+    const description = data.description.trim();
+    const uuid = data.uuid.trim() || null;
+
+    const path = this.#entityListPath(list, ownerId);
+    const operations = entity
+      ? [
+        { op: 'replace', path: `${path}/${entity.id}/name`, value: name },
+        { op: 'replace', path: `${path}/${entity.id}/description`, value: description },
+        { op: 'replace', path: `${path}/${entity.id}/uuid`, value: uuid }
+      ]
+      : [{ op: 'add', path, value: { ...createDefaults('entity'), id: this.#generateId(list), name, description, uuid } }];
+    if (await this.#applyOperations(operations)) ui.notifications.info(localize('Notify.Saved'));
   }
 
   // -------------------------------------------------------------------------
   // Public Methods
   // -------------------------------------------------------------------------
 
+  /**
+   * Called for socket messages from other GM clients.
+   */
+  receiveRemoteChange(message) {
+    return this.#syncFromServer(message);
+  }
+
   async refresh() {
     this.#frontsData = null;
     await this.#fetchFronts();
     this.render();
   }
+
+  /**
+   * The one instance of the window, rendered or not. The API works with it
+   * while the window is closed, so always create it through here.
+   */
+  static getInstance() {
+    this.#instance ??= new this();
+    return this.#instance;
+  }
+
+  /**
+   * The current fronts data. A window that is not open gets no live updates,
+   * so it loads the data again.
+   */
+  async getFrontsData() {
+    if (!this.#frontsData || !this.rendered) await this.#fetchFronts();
+    if (this.#error) throw new Error(this.#error);
+    return this.#frontsData;
+  }
+
+  /**
+   * Open the window with a front expanded and scrolled into view.
+   */
+  async focusFront(frontId) {
+    this.#view = 'fronts';
+    this.#expandedFronts.add(frontId);
+    await this.render(true);
+    this.element.querySelector(`.front-item[data-front-id="${frontId}"]`)?.scrollIntoView({ block: 'start' });
+  }
+
+  toggleSecret(dangerId, secretId) {
+    return this.#toggleSecret(dangerId, secretId);
+  }
+
+  togglePortent(dangerId, portentId) {
+    return this.#togglePortent(dangerId, portentId);
+  }
+
+  applyOperations(operations) {
+    return this.#applyOperations(operations);
+  }
+
+  advancePortents(portents, thwarted) {
+    return this.#advancePortents(portents, thwarted);
+  }
+
+  generateId(prefix) {
+    return this.#generateId(prefix);
+  }
 }
 
 // ============================================================================
@@ -973,6 +2498,18 @@ Handlebars.registerHelper('eq', function(a, b) {
   return a === b;
 });
 
+Handlebars.registerHelper('highlight', function(text, query) {
+  return new Handlebars.SafeString(highlight(text, typeof query === 'string' ? query : ''));
+});
+
+Handlebars.registerHelper('formatDate', function(value) {
+  return formatDate(value);
+});
+
+Handlebars.registerHelper('doomClock', function(progress, title) {
+  return new Handlebars.SafeString(doomClockSvg(progress, typeof title === 'string' ? title : ''));
+});
+
 // ============================================================================
 // Hooks
 // ============================================================================
@@ -983,7 +2520,7 @@ Hooks.on('getSceneControlButtons', (controls) => {
   if (tokenControls?.tools) {
     tokenControls.tools['front-manager'] = {
       name: 'front-manager',
-      title: 'Front Manager',
+      title: 'FRONT_MANAGER.Title',
       icon: 'fas fa-scroll',
       button: true,
       visible: game.user.isGM,
@@ -992,20 +2529,34 @@ Hooks.on('getSceneControlButtons', (controls) => {
         if (FrontManagerApp.instance?.rendered) {
           FrontManagerApp.instance.close();
         } else {
-          new FrontManagerApp().render(true);
+          FrontManagerApp.getInstance().render(true);
         }
       }
     };
   }
 });
 
+// Register settings
+Hooks.once('init', () => {
+  registerSettings(() => FrontManagerApp.instance?.refresh());
+  game.modules.get(MODULE_ID).api = createApi(() => FrontManagerApp.getInstance());
+  registerSheetButtons();
+  registerContextPanel();
+});
+
 // Ready hook for initialization
 Hooks.once('ready', () => {
+  initSocket();
+  onSocketMessage('fronts-changed', message => FrontManagerApp.instance?.receiveRemoteChange(message));
+  softLocks.init(() => {
+    if (FrontManagerApp.instance?.rendered) FrontManagerApp.instance.render();
+  });
+
   console.log(`${MODULE_ID} | Front Manager ready`);
 });
 
-// Export for console access
+// Export for console access, see api.js for the full API
 window.FrontManager = {
-  open: () => new FrontManagerApp().render(true),
+  open: () => FrontManagerApp.getInstance().render(true),
   refresh: () => FrontManagerApp.instance?.refresh()
 };
@@ -0,0 +1,117 @@
+/**
+ * Merge Dialog
+ * Shows our change, the server's change and the common ancestor for every
+ * field touched since the last fetch and lets the GM pick a side per field.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { ENTITY_FIELD } from './merge.js';
+import { fieldLabel } from './labels.js';
+import { localize } from './i18n.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+function formatValue(value, field) {
+  if (field === ENTITY_FIELD) return localize(value ? 'Merge.Present' : 'Merge.Deleted');
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'boolean') return localize(value ? 'Merge.Yes' : 'Merge.No');
+  if (Array.isArray(value)) return value.map(v => (typeof v === 'object' ? v.name ?? v.text ?? v.id : v)).join('; ') || '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+export class MergeDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'front-manager-merge',
+    classes: ['front-manager', 'front-manager-merge'],
+    window: {
+      title: 'FRONT_MANAGER.Merge.Title',
+      icon: 'fas fa-code-merge',
+      resizable: true
+    },
+    position: {
+      width: 760,
+      height: 600
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/merge-dialog.hbs`
+    }
+  };
+
+  #changes;
+  #resolve;
+
+  constructor(changes, resolve, options = {}) {
+    super(options);
+    this.#changes = changes;
+    this.#resolve = resolve;
+  }
+
+  /**
+   * Ask the GM how to resolve the given changes.
+   * @param {object[]} changes  Changes from threeWayMerge
+   * @returns {Promise<object|null>}  Map of change key to 'ours' | 'theirs', or null to take the server state
+   */
+  static prompt(changes) {
+    return new Promise(resolve => new MergeDialog(changes, resolve).render(true));
+  }
+
+  async _prepareContext(options) {
+    const groups = new Map();
+    for (const change of this.#changes) {
+      if (!groups.has(change.path)) groups.set(change.path, []);
+      groups.get(change.path).push({
+        key: change.key,
+        field: change.field === ENTITY_FIELD ? localize('Kind.entry') : fieldLabel(change.field),
+        base: formatValue(change.base, change.field),
+        ours: formatValue(change.ours, change.field),
+        theirs: formatValue(change.theirs, change.field),
+        conflict: change.conflict,
+        choseOurs: change.choice === 'ours'
+      });
+    }
+
+    return {
+      groups: [...groups].map(([path, changes]) => ({ path, changes })),
+      hasConflicts: this.#changes.some(c => c.conflict)
+    };
+  }
+
+  _onRender(context, options) {
+    const html = this.element;
+
+    html.querySelectorAll('[data-action="merge"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        const choices = {};
+        html.querySelectorAll('input[type="radio"]:checked').forEach(input => {
+          choices[input.name] = input.value;
+        });
+        this.#finish(choices);
+      });
+    });
+
+    html.querySelectorAll('[data-action="take-server"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        this.#finish(null);
+      });
+    });
+  }
+
+  #finish(result) {
+    this.#resolve?.(result);
+    this.#resolve = null;
+    this.close();
+  }
+
+  _onClose(options) {
+    // Closing the window counts as taking the server state
+    this.#resolve?.(null);
+    this.#resolve = null;
+    return super._onClose(options);
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Three-Way Merge
+ * Merges our local fronts with the server's fronts against their common
+ * ancestor. Lists of objects with an `id` (fronts, dangers, portents,
+ * secrets) are merged per entity, every other value is merged per field.
+ */
+
+import { kindLabel } from './labels.js';
+
+// Pseudo field used for changes that add or delete a whole entity
+export const ENTITY_FIELD = '_entity';
+
+/**
+ * Merge three versions of the fronts list.
+ * @param {object[]} base      Common ancestor (last state fetched from the server)
+ * @param {object[]} ours      Local state
+ * @param {object[]} theirs    Current server state
+ * @param {object} [choices]   Map of change key to 'ours' | 'theirs'
+ * @returns {{merged: object[], changes: object[]}}
+ */
+export function threeWayMerge(base, ours, theirs, choices = {}) {
+  const changes = [];
+  const merged = mergeList('fronts', base || [], ours || [], theirs || [], [], { changes, choices });
+  return { merged, changes };
+}
+
+/**
+ * Whether the server side changed anything we would have overwritten.
+ */
+export function hasServerChanges(changes) {
+  return changes.some(change => change.theirsChanged);
+}
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function isEntityList(value) {
+  return Array.isArray(value)
+    && value.length > 0
+    && value.every(item => item && typeof item === 'object' && 'id' in item);
+}
+
+function entityLabel(kind, entity) {
+  const name = String(entity?.name ?? entity?.text ?? entity?.id ?? '');
+  const short = name.length > 60 ? `${name.substring(0, 60)}...` : name;
+  return `${kind} "${short}"`;
+}
+
+/**
+ * Record a change and return the value the merge should use for it.
+ */
+function resolve(ctx, change) {
+  const defaultChoice = change.conflict || change.oursChanged ? 'ours' : 'theirs';
+  const choice = ctx.choices[change.key] ?? defaultChoice;
+  ctx.changes.push({ ...change, choice });
+  return choice === 'ours' ? change.ours : change.theirs;
+}
+
+function mergeValue(base, ours, theirs) {
+  if (isEqual(ours, theirs)) return { same: true, value: ours };
+  const oursChanged = !isEqual(ours, base);
+  const theirsChanged = !isEqual(theirs, base);
+  return { same: false, oursChanged, theirsChanged, conflict: oursChanged && theirsChanged };
+}
+
+function mergeEntity(kind, base, ours, theirs, path, ctx) {
+  const label = entityLabel(kind, ours ?? theirs ?? base);
+  const entityPath = [...path, label];
+  const keys = new Set([...Object.keys(base || {}), ...Object.keys(ours || {}), ...Object.keys(theirs || {})]);
+  const result = {};
+
+  for (const key of keys) {
+    const b = base?.[key];
+    const o = ours?.[key];
+    const t = theirs?.[key];
+
+    if (key !== 'id' && (isEntityList(b) || isEntityList(o) || isEntityList(t))) {
+      result[key] = mergeList(key, b || [], o || [], t || [], entityPath, ctx);
+      continue;
+    }
+
+    const merge = mergeValue(b, o, t);
+    const value = merge.same ? merge.value : resolve(ctx, {
+      key: `${ours?.id ?? theirs?.id}.${key}`,
+      path: entityPath.join(' › '),
+      field: key,
+      base: b,
+      ours: o,
+      theirs: t,
+      oursChanged: merge.oursChanged,
+      theirsChanged: merge.theirsChanged,
+      conflict: merge.conflict
+    });
+    if (value !== undefined) result[key] = value;
+  }
+
+  return result;
+}
+
+function mergeList(listKey, base, ours, theirs, path, ctx) {
+  const kind = kindLabel(listKey);
+  const byId = list => new Map(list.map(item => [item.id, item]));
+  const baseMap = byId(base);
+  const oursMap = byId(ours);
+  const theirsMap = byId(theirs);
+
+  // Keep a local reorder unless the server reordered as well
+  const order = isEqual(theirs.map(i => i.id), base.map(i => i.id)) ? ours : theirs;
+  const ids = [...new Set([...order, ...ours, ...theirs].map(item => item.id))];
+
+  const result = [];
+  for (const id of ids) {
+    const b = baseMap.get(id);
+    const o = oursMap.get(id);
+    const t = theirsMap.get(id);
+
+    if (o && t) {
+      result.push(mergeEntity(kind, b, o, t, path, ctx));
+      continue;
+    }
+
+    // Added on one side only
+    if (!b) {
+      result.push(o ?? t);
+      continue;
+    }
+
+    // Deleted on one side: a deletion only wins if the other side left it alone
+    const kept = o ?? t;
+    const deletedByUs = !o;
+    if (!kept) continue;
+
+    const keptChanged = !isEqual(kept, b);
+    const value = resolve(ctx, {
+      key: `${id}.${ENTITY_FIELD}`,
+      path: [...path, entityLabel(kind, kept)].join(' › '),
+      field: ENTITY_FIELD,
+      base: b,
+      ours: o,
+      theirs: t,
+      oursChanged: deletedByUs || keptChanged,
+      theirsChanged: !deletedByUs || keptChanged,
+      conflict: keptChanged
+    });
+    if (value) result.push(value);
+  }
+
+  return result;
+}
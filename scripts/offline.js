@@ -0,0 +1,144 @@
+/**
+ * Offline Support
+ * Keeps the last good fronts data in the GM's browser and queues every change
+ * made while the MCP server is unreachable, so it can be replayed later.
+ *
+ * Both live in localStorage, per world, and only on GM clients: the fronts
+ * hold every unrevealed secret, so players never store them.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { getCampaignId, isUnreachable } from './server.js';
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+function storageKey(name) {
+  return `${MODULE_ID}.${game.world.id}.${name}`;
+}
+
+function read(name) {
+  if (!game.user.isGM) return null;
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(name)));
+  } catch (err) {
+    console.warn(`[FrontManager] Ignoring unreadable offline ${name}:`, err);
+    return null;
+  }
+}
+
+/**
+ * @returns {boolean}  Whether the value was stored
+ */
+function write(name, value) {
+  if (!game.user.isGM) return false;
+  try {
+    localStorage.setItem(storageKey(name), JSON.stringify(value));
+    return true;
+  } catch (err) {
+    // Usually the storage quota of the browser
+    console.error(`[FrontManager] Could not store the offline ${name}:`, err);
+    return false;
+  }
+}
+
+// ============================================================================
+// Cache
+// ============================================================================
+
+// What was cached last, so unchanged data is not written again
+let cachedState = null;
+
+/**
+ * Load the cached fronts data for the current campaign.
+ * `base` is the last state confirmed by the server, used as the common
+ * ancestor when queued saves run into a conflict.
+ * @returns {{data: object, base: object|null, savedAt: number}|null}
+ */
+export function loadCache() {
+  const cache = read('cache');
+  if (!cache?.data || cache.campaign !== getCampaignId()) return null;
+  return {
+    data: cache.data,
+    base: cache.base ?? null,
+    savedAt: cache.savedAt
+  };
+}
+
+/**
+ * Store the fronts data, unless it is the same as last time.
+ */
+export async function writeCache(data, base = null) {
+  const state = JSON.stringify({ campaign: getCampaignId(), data, base });
+  if (state === cachedState) return;
+
+  const stored = write('cache', {
+    campaign: getCampaignId(),
+    savedAt: Date.now(),
+    data,
+    base
+  });
+  if (stored) cachedState = state;
+}
+
+// ============================================================================
+// Outbox
+// ============================================================================
+
+export function getOutbox() {
+  const outbox = read('outbox');
+  if (outbox?.campaign !== getCampaignId()) return [];
+  return outbox.entries || [];
+}
+
+async function setOutbox(entries) {
+  write('outbox', {
+    campaign: getCampaignId(),
+    entries
+  });
+}
+
+/**
+ * Queue a change for later replay.
+ * Consecutive full saves collapse into the latest one.
+ * @param {object} entry  {type: 'save'|'patch', ...}
+ * @returns {Promise<number>}  Number of pending changes
+ */
+export async function enqueue(entry) {
+  const entries = [...getOutbox()];
+  if (entries.at(-1)?.type === 'save' && entry.type === 'save') entries.pop();
+  entries.push(entry);
+
+  await setOutbox(entries);
+  return entries.length;
+}
+
+/**
+ * Send all queued changes in order.
+ * Stops and rethrows as soon as the server is unreachable again; entries the
+ * server rejects are dropped so they cannot block the queue forever.
+ * @param {Function} send  async (entry) => void
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+export async function replayOutbox(send) {
+  let entries = getOutbox();
+  let sent = 0;
+  let failed = 0;
+
+  while (entries.length) {
+    const [entry, ...rest] = entries;
+    try {
+      await send(entry);
+      sent++;
+    } catch (err) {
+      if (isUnreachable(err)) throw err;
+      console.error('[FrontManager] Dropping rejected offline change:', entry, err);
+      failed++;
+    }
+    entries = rest;
+    await setOutbox(entries);
+  }
+
+  return { sent, failed };
+}
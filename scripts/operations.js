@@ -0,0 +1,174 @@
+/**
+ * Fronts Operations
+ * Every edit is described as a small typed operation on a path into the
+ * fronts document, e.g. {op: 'add', path: 'fronts/<id>/cast', value}.
+ * Operations are applied locally first and then sent to the server alone,
+ * instead of saving the whole document.
+ *
+ * Path segments address object properties by name and array items by `id`,
+ * falling back to the numeric index for plain lists like stakes.
+ *
+ *   add      path points at an array, `value` is inserted at `index` or appended
+ *   replace  path points at a value, which is set to `value`
+ *   remove   path points at an array item or property, which is removed
+ *
+ * Moving an item is a remove followed by an add, see moveOperations.
+ */
+
+export class OperationError extends Error {
+  constructor(message, operation) {
+    super(message);
+    this.name = 'OperationError';
+    this.operation = operation;
+  }
+}
+
+// ============================================================================
+// Path Resolution
+// ============================================================================
+
+function findIndex(array, segment) {
+  const byId = array.findIndex(item => item && typeof item === 'object' && String(item.id) === segment);
+  if (byId !== -1) return byId;
+  if (/^\d+$/.test(segment) && Number(segment) < array.length) return Number(segment);
+  return -1;
+}
+
+/**
+ * Resolve a path to its parent container and the key inside it.
+ * @returns {{parent: object|Array, key: string|number}}
+ */
+function resolvePath(data, path, operation) {
+  const segments = path.split('/').filter(Boolean);
+  if (!segments.length) throw new OperationError('Empty path', operation);
+
+  let parent = data;
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const key = Array.isArray(parent) ? findIndex(parent, segment) : segment;
+    if (key === -1) throw new OperationError(`Path not found: ${path}`, operation);
+
+    if (i === segments.length - 1) return { parent, key };
+
+    parent = parent[key];
+    if (parent === null || typeof parent !== 'object') {
+      throw new OperationError(`Path not found: ${path}`, operation);
+    }
+  }
+}
+
+function itemKey(value, index) {
+  return value && typeof value === 'object' && 'id' in value ? value.id : index;
+}
+
+// ============================================================================
+// Applying Operations
+// ============================================================================
+
+/**
+ * Apply one operation to the fronts document in place.
+ * @param {object} data       Fronts document ({fronts: [...]})
+ * @param {object} operation
+ * @returns {object}          The inverse operation, which undoes this one
+ */
+export function applyOperation(data, operation) {
+  const { op, path } = operation;
+  const { parent, key } = resolvePath(data, path, operation);
+
+  switch (op) {
+    case 'add': {
+      // Lists are created lazily, so a missing one is fine
+      if (parent[key] === undefined && !Array.isArray(parent)) parent[key] = [];
+      const list = parent[key];
+      if (!Array.isArray(list)) throw new OperationError(`Not a list: ${path}`, operation);
+
+      const index = Number.isInteger(operation.index)
+        ? Math.min(Math.max(operation.index, 0), list.length)
+        : list.length;
+      list.splice(index, 0, operation.value);
+      return { op: 'remove', path: `${path}/${itemKey(operation.value, index)}` };
+    }
+
+    case 'replace': {
+      const previous = parent[key];
+      parent[key] = operation.value;
+      if (previous === undefined) return { op: 'remove', path };
+      return { op: 'replace', path, value: previous };
+    }
+
+    case 'remove': {
+      if (Array.isArray(parent)) {
+        const [removed] = parent.splice(key, 1);
+        const listPath = path.split('/').slice(0, -1).join('/');
+        return { op: 'add', path: listPath, value: removed, index: key };
+      }
+      const previous = parent[key];
+      delete parent[key];
+      return { op: 'replace', path, value: previous };
+    }
+
+    default:
+      throw new OperationError(`Unknown operation: ${op}`, operation);
+  }
+}
+
+/**
+ * Apply several operations in order. If one fails, the ones already applied
+ * are rolled back before the error is rethrown.
+ * @returns {object[]}  Inverse operations, in the order they must be applied
+ */
+export function applyOperations(data, operations) {
+  const inverse = [];
+  try {
+    for (const operation of operations) {
+      inverse.unshift(applyOperation(data, operation));
+    }
+  } catch (err) {
+    for (const undo of inverse) applyOperation(data, undo);
+    throw err;
+  }
+  return inverse;
+}
+
+// ============================================================================
+// Moving Items
+// ============================================================================
+
+/**
+ * Operations that move a list item to another position, in its own list or
+ * into another one. Moves are sent as remove + add, which every server that
+ * understands the basic operations can apply.
+ * @param {object} data     Fronts document
+ * @param {string} from     Path of the item to move
+ * @param {string} toList   Path of the list to move it into
+ * @param {object} [target]
+ * @param {string} [target.key]    Id or index of the item to drop next to; appended if missing
+ * @param {boolean} [target.after] Insert after that item instead of before it
+ * @returns {object[]}  Empty if the item would stay where it is
+ */
+export function moveOperations(data, from, toList, { key: targetKey = null, after = false } = {}) {
+  const operation = { op: 'move', path: from, to: toList };
+  const { parent, key } = resolvePath(data, from, operation);
+  if (!Array.isArray(parent)) throw new OperationError(`Not a list item: ${from}`, operation);
+
+  const target = resolvePath(data, toList, operation);
+  const list = target.parent[target.key] ?? [];
+  if (!Array.isArray(list)) throw new OperationError(`Not a list: ${toList}`, operation);
+
+  let index = list.length;
+  if (targetKey !== null && targetKey !== undefined) {
+    const targetIndex = findIndex(list, String(targetKey));
+    if (targetIndex !== -1) index = targetIndex + (after ? 1 : 0);
+  }
+
+  // Within the same list, removing the item shifts everything behind it
+  if (list === parent) {
+    if (index > key) index--;
+    if (index === key) return [];
+  }
+
+  return [
+    { op: 'remove', path: from },
+    { op: 'add', path: toList, value: parent[key], index }
+  ];
+}
@@ -0,0 +1,120 @@
+/**
+ * Player Hooks by Character
+ * The reverse view of the Player Hooks section: which fronts hook into a
+ * given character. Opens from a button in the character sheet header.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { localize, format } from './i18n.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+// ============================================================================
+// Character Hooks Window
+// ============================================================================
+
+class ActorHooksApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    classes: ['front-manager', 'front-manager-actor-hooks'],
+    window: {
+      icon: 'fas fa-user-tag',
+      resizable: true
+    },
+    position: {
+      width: 420,
+      height: 'auto'
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/actor-hooks.hbs`
+    }
+  };
+
+  #actor;
+
+  constructor(actor, options = {}) {
+    super({ ...options, id: `front-manager-actor-hooks-${actor.id}` });
+    this.#actor = actor;
+  }
+
+  get title() {
+    return format('ActorHooks.Title', { actor: this.#actor.name });
+  }
+
+  async _prepareContext(options) {
+    const api = game.modules.get(MODULE_ID).api;
+    let fronts = [];
+    let error = null;
+    try {
+      fronts = await api.getFronts();
+    } catch (err) {
+      error = err.message;
+    }
+
+    const hooked = fronts
+      .map(front => ({
+        id: front.id,
+        name: front.name,
+        type: front.type,
+        hooks: (front.playerHooks || []).filter(h => h?.actorUuid === this.#actor.uuid)
+      }))
+      .filter(front => front.hooks.length);
+
+    return {
+      actor: { name: this.#actor.name, img: this.#actor.img },
+      fronts: hooked,
+      error
+    };
+  }
+
+  _onRender(context, options) {
+    this.element.querySelectorAll('[data-action="open-front"]').forEach(el => {
+      el.addEventListener('click', ev => {
+        ev.preventDefault();
+        game.modules.get(MODULE_ID).api.open(ev.currentTarget.dataset.frontId);
+      });
+    });
+  }
+}
+
+function openActorHooks(actor) {
+  const existing = foundry.applications.instances.get(`front-manager-actor-hooks-${actor.id}`);
+  if (existing) return existing.render({ force: true });
+  return new ActorHooksApp(actor).render({ force: true });
+}
+
+// ============================================================================
+// Sheet Header Buttons
+// ============================================================================
+
+function showButton(actor) {
+  return game.user.isGM && actor?.type === 'character';
+}
+
+/**
+ * Add the "Fronten" button to character sheets, for both the
+ * Application v1 sheets the pf2e system uses and ApplicationV2 sheets.
+ */
+export function registerSheetButtons() {
+  Hooks.on('getActorSheetHeaderButtons', (sheet, buttons) => {
+    if (!showButton(sheet.actor)) return;
+    buttons.unshift({
+      label: localize('ActorHooks.Button'),
+      class: 'front-manager-actor-hooks',
+      icon: 'fas fa-user-tag',
+      onclick: () => openActorHooks(sheet.actor)
+    });
+  });
+
+  Hooks.on('getHeaderControlsActorSheetV2', (sheet, controls) => {
+    if (!showButton(sheet.actor)) return;
+    controls.push({
+      icon: 'fas fa-user-tag',
+      label: localize('ActorHooks.Button'),
+      action: 'frontManagerHooks',
+      onClick: () => openActorHooks(sheet.actor)
+    });
+  });
+}
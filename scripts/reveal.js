@@ -0,0 +1,123 @@
+/**
+ * Revealed Secrets
+ * Shares revealed secrets with the players: an optional chat card when a
+ * secret is revealed, and a player-visible journal listing everything the
+ * group has discovered so far, grouped by front and danger.
+ *
+ * The journal is always rebuilt from the fronts data, so un-revealing a
+ * secret removes it again.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { localize } from './i18n.js';
+
+const CHAT_TEMPLATE = `modules/${MODULE_ID}/templates/chat-secret-revealed.hbs`;
+const PAGE_TEMPLATE = `modules/${MODULE_ID}/templates/revealed-secrets-page.hbs`;
+const JOURNAL_FLAG = 'revealedSecrets';
+
+// ============================================================================
+// Chat Card
+// ============================================================================
+
+/**
+ * Post a chat card for a freshly revealed secret, depending on the
+ * `revealChatCard` setting (off, public or whispered to the players).
+ */
+export async function postRevealCard(front, danger, secret) {
+  const mode = game.settings.get(MODULE_ID, 'revealChatCard');
+  if (mode === 'off') return;
+
+  const content = await foundry.applications.handlebars.renderTemplate(CHAT_TEMPLATE, {
+    front,
+    danger,
+    secret
+  });
+
+  const messageData = {
+    content,
+    speaker: ChatMessage.getSpeaker({ alias: front.name })
+  };
+  if (mode === 'whisper') {
+    messageData.whisper = game.users.filter(u => !u.isGM).map(u => u.id);
+  }
+
+  await ChatMessage.create(messageData);
+}
+
+// ============================================================================
+// Journal
+// ============================================================================
+
+function getJournal() {
+  return game.journal.find(j => j.getFlag(MODULE_ID, JOURNAL_FLAG)) ?? null;
+}
+
+/**
+ * Fronts that have at least one revealed secret, with only those dangers
+ * and secrets left in.
+ */
+function collectRevealed(fronts) {
+  return fronts
+    .map(front => ({
+      id: front.id,
+      name: front.name,
+      dangers: (front.dangers || [])
+        .map(danger => ({
+          name: danger.name,
+          secrets: (danger.secrets || []).filter(s => s.revealed)
+        }))
+        .filter(danger => danger.secrets.length)
+    }))
+    .filter(front => front.dangers.length);
+}
+
+/**
+ * Bring the "Entdeckte Geheimnisse" journal in line with the fronts data,
+ * one page per front. Does nothing unless the `revealJournal` setting is on.
+ * @param {object[]} fronts
+ */
+export async function syncRevealedJournal(fronts) {
+  if (!game.settings.get(MODULE_ID, 'revealJournal')) return;
+
+  const revealed = collectRevealed(fronts);
+  let journal = getJournal();
+  if (!journal && !revealed.length) return;
+
+  if (!journal) {
+    journal = await JournalEntry.create({
+      name: localize('Reveal.JournalName'),
+      ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.OBSERVER },
+      flags: { [MODULE_ID]: { [JOURNAL_FLAG]: true } }
+    });
+  }
+
+  const pages = new Map(journal.pages.map(p => [p.getFlag(MODULE_ID, 'frontId'), p]));
+  const updates = [];
+  const creates = [];
+
+  for (const [sort, front] of revealed.entries()) {
+    const content = await foundry.applications.handlebars.renderTemplate(PAGE_TEMPLATE, front);
+    const page = pages.get(front.id);
+    pages.delete(front.id);
+
+    if (page) {
+      if (page.name === front.name && page.text.content === content && page.sort === sort) continue;
+      updates.push({ _id: page.id, name: front.name, sort, 'text.content': content });
+    } else {
+      creates.push({
+        name: front.name,
+        type: 'text',
+        sort,
+        text: { content },
+        flags: { [MODULE_ID]: { frontId: front.id } }
+      });
+    }
+  }
+
+  // Whatever is left belongs to fronts without revealed secrets
+  const deletes = [...pages.values()].map(p => p.id);
+
+  if (updates.length) await journal.updateEmbeddedDocuments('JournalEntryPage', updates);
+  if (creates.length) await journal.createEmbeddedDocuments('JournalEntryPage', creates);
+  if (deletes.length) await journal.deleteEmbeddedDocuments('JournalEntryPage', deletes);
+}
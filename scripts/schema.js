@@ -0,0 +1,388 @@
+/**
+ * Fronts Schema
+ * One description of fronts, dangers, portents, secrets and the smaller
+ * entities, with their defaults. Fetched data is migrated to SCHEMA_VERSION
+ * and checked; changes are checked again before they are saved. Problems
+ * are reported per entity, so one broken danger does not take the whole
+ * window down.
+ *
+ * Every front carries the `schemaVersion` it was last migrated to.
+ */
+
+import { fieldLabel } from './labels.js';
+import { localize, format } from './i18n.js';
+import { FRONT_STATUSES, DANGER_STATUSES, openItems } from './lifecycle.js';
+import { CLUE_TYPES } from './clues.js';
+
+// Version 4 added clues and the planned flag to secrets, which are filled
+// in as defaults
+export const SCHEMA_VERSION = 4;
+
+const list = of => ({ type: 'list', of });
+
+/**
+ * Fields per kind. `of` names the kind of a list's items; 'text' items are
+ * plain strings.
+ */
+export const SCHEMA = {
+  front: {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    type: { type: 'string', choices: ['campaign', 'adventure'], default: 'adventure' },
+    schemaVersion: { type: 'number', default: SCHEMA_VERSION },
+    status: { type: 'string', choices: FRONT_STATUSES, default: 'active' },
+    outcome: { type: 'string', default: '' },
+    resolvedAt: { type: 'string', default: null },
+    resolvedSession: { type: 'number', default: null },
+    cast: list('entity'),
+    stakes: list('text'),
+    playerHooks: list('hook'),
+    dangers: list('danger')
+  },
+  danger: {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    dangerType: { type: 'string', default: '' },
+    impulse: { type: 'string', default: '' },
+    impendingDoom: { type: 'string', default: '' },
+    status: { type: 'string', choices: DANGER_STATUSES, default: 'active' },
+    outcome: { type: 'string', default: '' },
+    resolvedAt: { type: 'string', default: null },
+    resolvedSession: { type: 'number', default: null },
+    // Texts of the portents and secrets that were still open when it ended
+    openPortents: list('text'),
+    openSecrets: list('text'),
+    grimPortents: list('portent'),
+    secrets: list('secret'),
+    locations: list('entity')
+  },
+  portent: {
+    id: { type: 'string', required: true },
+    text: { type: 'string', required: true },
+    completed: { type: 'boolean', default: false },
+    completedAt: { type: 'string', default: null },
+    completedSession: { type: 'number', default: null }
+  },
+  secret: {
+    id: { type: 'string', required: true },
+    text: { type: 'string', required: true },
+    xp: { type: 'number', default: 30 },
+    revealed: { type: 'boolean', default: false },
+    revealedAt: { type: 'string', default: null },
+    revealedSession: { type: 'number', default: null },
+    // Marked to be seeded in the next session
+    planned: { type: 'boolean', default: false },
+    clues: list('clue')
+  },
+  clue: {
+    id: { type: 'string', required: true },
+    type: { type: 'string', required: true, choices: CLUE_TYPES },
+    target: { type: 'string', required: true },
+    note: { type: 'string', default: '' }
+  },
+  entity: {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    description: { type: 'string', default: '' },
+    uuid: { type: 'string', default: null }
+  },
+  hook: {
+    id: { type: 'string', required: true },
+    text: { type: 'string', required: true },
+    actorUuid: { type: 'string', default: null }
+  }
+};
+
+// Prefixes for generated ids, per kind. Entities use the name of their
+// list instead, e.g. 'cast'.
+const ID_PREFIXES = {
+  front: 'front',
+  danger: 'danger',
+  portent: 'portent',
+  secret: 'secret',
+  clue: 'clue',
+  hook: 'hook'
+};
+
+function idPrefix(kind, listKey) {
+  return ID_PREFIXES[kind] ?? listKey;
+}
+
+// Keys of the kinds' labels, under FRONT_MANAGER.Kind
+const KIND_LABELS = {
+  front: 'fronts',
+  danger: 'dangers',
+  portent: 'grimPortents',
+  secret: 'secrets',
+  clue: 'clues',
+  entity: 'entry',
+  hook: 'playerHooks'
+};
+
+// Keys of the problems, under FRONT_MANAGER.Schema
+const TYPE_PROBLEMS = {
+  string: 'NotText',
+  number: 'NotNumber',
+  boolean: 'NotBoolean',
+  list: 'NotList'
+};
+
+/**
+ * A new entity with all defaults filled in, e.g. `{...createDefaults('danger'), id, name}`.
+ * @param {string} kind  Key of SCHEMA
+ */
+export function createDefaults(kind) {
+  const defaults = {};
+  for (const [key, field] of Object.entries(SCHEMA[kind])) {
+    if (field.type === 'list') defaults[key] = [];
+    else if ('default' in field) defaults[key] = field.default;
+  }
+  return defaults;
+}
+
+// ============================================================================
+// Migrations
+// ============================================================================
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Plain strings become entities. The ids are derived from the owner and the
+ * position, so every client migrating the same data ends up with the same
+ * ids.
+ */
+function toEntity(item, prefix, ownerId, index) {
+  if (typeof item !== 'string') return item;
+  return { ...createDefaults('entity'), id: `${prefix}-${ownerId}-${index}`, name: item };
+}
+
+function mapList(list, fn) {
+  return Array.isArray(list) ? list.map(fn) : list;
+}
+
+/**
+ * Each migration upgrades a front from the previous version, in place.
+ */
+const MIGRATIONS = [
+  {
+    // Cast and locations were plain strings
+    version: 1,
+    migrate(front) {
+      front.cast = mapList(front.cast, (item, i) => toEntity(item, 'cast', front.id, i));
+      for (const danger of Array.isArray(front.dangers) ? front.dangers : []) {
+        if (!isObject(danger)) continue;
+        danger.locations = mapList(danger.locations, (item, i) => toEntity(item, 'location', danger.id, i));
+      }
+    }
+  },
+  {
+    // Player hooks were plain strings
+    version: 2,
+    migrate(front) {
+      front.playerHooks = mapList(front.playerHooks, (hook, i) => (typeof hook === 'string'
+        ? { ...createDefaults('hook'), id: `hook-${front.id}-${i}`, text: hook }
+        : hook));
+    }
+  },
+  {
+    // Fronts and dangers got a status; dangers whose portents are all
+    // completed have reached their doom
+    version: 3,
+    migrate(front) {
+      for (const danger of Array.isArray(front.dangers) ? front.dangers : []) {
+        if (!isObject(danger) || danger.status !== undefined || !Array.isArray(danger.grimPortents)) continue;
+        const portents = danger.grimPortents.filter(isObject);
+        if (!portents.length || !portents.every(p => p.completed)) continue;
+
+        const stamps = portents.map(p => p.completedAt).filter(Boolean).sort();
+        danger.status = 'doom';
+        danger.resolvedAt = stamps.at(-1) ?? null;
+        danger.openPortents = [];
+        danger.openSecrets = Array.isArray(danger.secrets) ? openItems({ secrets: danger.secrets.filter(isObject) }).secrets : [];
+      }
+    }
+  }
+];
+
+/**
+ * Fill in missing fields and ids of an entity and everything below it.
+ * Values of the wrong type are left alone for validation to report.
+ */
+function fillDefaults(kind, item, id) {
+  if (!isObject(item)) return item;
+
+  const filled = { ...item };
+  for (const [key, field] of Object.entries(SCHEMA[kind])) {
+    if (filled[key] === undefined || (filled[key] === null && field.type === 'list')) {
+      filled[key] = field.type === 'list' ? [] : field.default;
+    }
+  }
+  filled.id ??= id;
+
+  for (const [key, field] of Object.entries(SCHEMA[kind])) {
+    if (field.type !== 'list' || field.of === 'text' || !Array.isArray(filled[key])) continue;
+    const prefix = idPrefix(field.of, key);
+    filled[key] = filled[key].map((child, i) => fillDefaults(field.of, child, `${prefix}-${filled.id}-${i}`));
+  }
+  return filled;
+}
+
+/**
+ * Bring a front up to SCHEMA_VERSION and fill in defaults.
+ * @param {object} front
+ * @param {number} index  Position among the fronts, for a missing id
+ * @returns {object}      A migrated copy, or `front` itself if it is not an object
+ */
+export function migrateFront(front, index) {
+  if (!isObject(front)) return front;
+
+  const migrated = structuredClone(front);
+  migrated.id ??= `front-${index}`;
+  const version = typeof migrated.schemaVersion === 'number' ? migrated.schemaVersion : 0;
+  for (const migration of MIGRATIONS) {
+    if (migration.version > version) migration.migrate(migrated);
+  }
+  return { ...fillDefaults('front', migrated), schemaVersion: SCHEMA_VERSION };
+}
+
+/**
+ * Give a front and everything in it that has no id a new one, e.g. before
+ * importing it. Without this, migration would derive the ids from the
+ * position, which may clash with existing ones.
+ * @param {Function} generateId  (prefix) => unique id
+ */
+export function assignIds(front, generateId) {
+  const assign = (kind, item, prefix) => {
+    if (!isObject(item)) return item;
+    const copy = { ...item, id: item.id ?? generateId(prefix) };
+    for (const [key, field] of Object.entries(SCHEMA[kind])) {
+      if (field.type !== 'list' || field.of === 'text') continue;
+      copy[key] = mapList(copy[key], child => assign(field.of, child, idPrefix(field.of, key)));
+    }
+    return copy;
+  };
+  return assign('front', front, 'front');
+}
+
+/**
+ * Operations that migrate every front that is not up to date.
+ * @param {object} data  Fronts document
+ * @returns {object[]}   Empty if there is nothing to migrate
+ */
+export function migrationOperations(data) {
+  if (!Array.isArray(data?.fronts)) return [];
+
+  return data.fronts.flatMap((front, index) => {
+    const migrated = migrateFront(front, index);
+    if (JSON.stringify(migrated) === JSON.stringify(front)) return [];
+    return [{ op: 'replace', path: `fronts/${isObject(front) && front.id !== undefined ? front.id : index}`, value: migrated }];
+  });
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+function describe(kind, item, index) {
+  const name = isObject(item) ? (item.name ?? item.text) : null;
+  const label = KIND_LABELS[kind] ? localize(`Kind.${KIND_LABELS[kind]}`) : kind;
+  return typeof name === 'string' && name.trim()
+    ? format('Schema.Named', { label, name: name.length > 40 ? `${name.slice(0, 39)}…` : name })
+    : format('Schema.Numbered', { label, number: index + 1 });
+}
+
+/**
+ * @returns {string|null}  Key of the problem under FRONT_MANAGER.Schema, or null
+ */
+function checkValue(field, value) {
+  // Missing optional fields are filled in by the next migration
+  if (value === undefined) return field.required ? 'Missing' : null;
+  if (value === null) {
+    if (field.required || field.type === 'list') return 'Missing';
+    return field.default === null ? null : TYPE_PROBLEMS[field.type];
+  }
+  if (field.type === 'list') return Array.isArray(value) ? null : 'NotList';
+  if (typeof value !== field.type) return TYPE_PROBLEMS[field.type];
+  if (field.required && field.type === 'string' && !value.trim()) return 'Empty';
+  if (field.choices && !field.choices.includes(value)) return 'UnknownValue';
+  return null;
+}
+
+/**
+ * Check fronts against the schema.
+ * @param {object[]} fronts
+ * @returns {{frontId: string|null, dangerId: string|null, message: string}[]}
+ *   One issue per problem, with the front and danger it belongs to
+ */
+export function validateFronts(fronts) {
+  if (!Array.isArray(fronts)) return [{ frontId: null, dangerId: null, message: localize('Schema.NoFronts') }];
+
+  const issues = [];
+  const seen = new Set();
+
+  const check = (kind, item, index, where, owner) => {
+    const label = [...where, describe(kind, item, index)].join(' › ');
+    const report = message => issues.push({ ...owner, message: `${label}: ${message}` });
+
+    if (!isObject(item)) return issues.push({ ...owner, message: format('Schema.NotObject', { entity: label }) });
+    if (typeof item.id === 'string') {
+      if (seen.has(item.id)) report(format('Schema.DuplicateId', { id: item.id }));
+      seen.add(item.id);
+    }
+
+    for (const [key, field] of Object.entries(SCHEMA[kind])) {
+      const problem = checkValue(field, item[key]);
+      if (problem) {
+        report(format(`Schema.${problem}`, { field: fieldLabel(key), value: item[key] }));
+        continue;
+      }
+      if (field.type !== 'list') continue;
+
+      item[key].forEach((child, i) => {
+        if (field.of === 'text') {
+          if (typeof child !== 'string') report(format('Schema.NotText', { field: `${fieldLabel(key)} ${i + 1}` }));
+          return;
+        }
+        const childOwner = kind === 'front' && field.of === 'danger'
+          ? { ...owner, dangerId: isObject(child) ? child.id ?? null : null }
+          : owner;
+        check(field.of, child, i, [...where, describe(kind, item, index)], childOwner);
+      });
+    }
+  };
+
+  fronts.forEach((front, index) => {
+    check('front', front, index, [], { frontId: isObject(front) ? front.id ?? null : null, dangerId: null });
+  });
+  return issues;
+}
+
+/**
+ * Issues in `after` that were not in `before`, to reject changes that
+ * break the data while still allowing edits to data that is already broken.
+ */
+export function newIssues(before, after) {
+  const known = new Set(before.map(issue => issue.message));
+  return after.filter(issue => !known.has(issue.message));
+}
+
+/**
+ * A copy of the fronts that is safe to display: entities that are not
+ * objects are dropped and lists that are not lists are empty.
+ */
+export function sanitizeFronts(fronts) {
+  const clean = (kind, item) => {
+    const copy = { ...item };
+    for (const [key, field] of Object.entries(SCHEMA[kind])) {
+      if (field.type !== 'list') continue;
+      const items = Array.isArray(item[key]) ? item[key] : [];
+      copy[key] = field.of === 'text'
+        ? items.filter(child => typeof child === 'string')
+        : items.filter(isObject).map(child => clean(field.of, child));
+    }
+    return copy;
+  };
+  return (Array.isArray(fronts) ? fronts : []).filter(isObject).map(front => clean('front', front));
+}
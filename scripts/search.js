@@ -0,0 +1,107 @@
+/**
+ * Search and Filters
+ * Full-text search across fronts and dangers plus the quick filters in the
+ * Front Manager header. Works on plain fronts data, no Foundry APIs apart
+ * from the Handlebars escaping in `highlight`.
+ */
+
+export const DEFAULT_FILTERS = {
+  query: '',
+  unrevealedSecrets: false,
+  portentsRemaining: false,
+  frontType: ''
+};
+
+export function isFiltering(filters) {
+  return !!(filters.query.trim() || filters.unrevealedSecrets || filters.portentsRemaining || filters.frontType);
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+function entityTexts(list) {
+  return (list || []).flatMap(item => (typeof item === 'string' ? [item] : [item?.name, item?.description, item?.text]));
+}
+
+function frontTexts(front) {
+  return [
+    front.name,
+    ...entityTexts(front.cast),
+    ...(front.stakes || []),
+    ...entityTexts(front.playerHooks)
+  ];
+}
+
+function dangerTexts(danger) {
+  return [
+    danger.name,
+    danger.dangerType,
+    danger.impulse,
+    danger.impendingDoom,
+    ...(danger.grimPortents || []).map(p => p.text),
+    ...(danger.secrets || []).map(s => s.text),
+    ...entityTexts(danger.locations)
+  ];
+}
+
+function matches(texts, query) {
+  return texts.some(text => typeof text === 'string' && text.toLowerCase().includes(query));
+}
+
+function passesQuickFilters(danger, filters) {
+  if (filters.unrevealedSecrets && !(danger.secrets || []).some(s => !s.revealed)) return false;
+  if (filters.portentsRemaining && !(danger.grimPortents || []).some(p => !p.completed)) return false;
+  return true;
+}
+
+/**
+ * Apply search and quick filters to the fronts.
+ * A front is kept if it matches the query itself (then all of its dangers
+ * that pass the quick filters stay) or if any of its dangers match.
+ * @param {object[]} fronts
+ * @param {object} filters  See DEFAULT_FILTERS
+ * @returns {{front: object, matched: boolean, dangers: {danger: object, matched: boolean}[]}[]}
+ */
+export function filterFronts(fronts, filters) {
+  const query = filters.query.trim().toLowerCase();
+  const dangerFilter = filters.unrevealedSecrets || filters.portentsRemaining;
+
+  return fronts.flatMap(front => {
+    if (filters.frontType && front.type !== filters.frontType) return [];
+
+    const frontMatched = !!query && matches(frontTexts(front), query);
+    const dangers = (front.dangers || [])
+      .filter(danger => passesQuickFilters(danger, filters))
+      .map(danger => ({ danger, matched: !!query && matches(dangerTexts(danger), query) }))
+      .filter(({ matched }) => !query || frontMatched || matched);
+
+    if (query && !frontMatched && !dangers.length) return [];
+    if (dangerFilter && !dangers.length) return [];
+    return [{ front, matched: frontMatched || dangers.some(d => d.matched), dangers }];
+  });
+}
+
+// ============================================================================
+// Highlighting
+// ============================================================================
+
+/**
+ * Escape `text` and wrap every occurrence of `query` in <mark>.
+ * @returns {string}  HTML
+ */
+export function highlight(text, query) {
+  const value = String(text ?? '');
+  const needle = String(query ?? '').trim().toLowerCase();
+  if (!needle) return Handlebars.escapeExpression(value);
+
+  let html = '';
+  let position = 0;
+  const lower = value.toLowerCase();
+  for (let index = lower.indexOf(needle); index !== -1; index = lower.indexOf(needle, position)) {
+    html += Handlebars.escapeExpression(value.slice(position, index));
+    html += `<mark>${Handlebars.escapeExpression(value.slice(index, index + needle.length))}</mark>`;
+    position = index + needle.length;
+  }
+  return html + Handlebars.escapeExpression(value.slice(position));
+}
@@ -0,0 +1,191 @@
+/**
+ * MCP Server Communication
+ * Builds requests against the configured server URL, attaches the optional
+ * bearer token and scopes every call to the campaign of the current world.
+ */
+
+import { MODULE_ID, DEFAULT_SERVER_URL } from './constants.js';
+
+const REQUEST_TIMEOUT = 10000;
+
+// Gateway errors mean a proxy is up but the MCP server behind it is not
+const UNREACHABLE_STATUS = [502, 503, 504];
+
+// Prefix of the client ids of Foundry clients, to tell their changes from
+// those made on the MCP side
+const CLIENT_PREFIX = 'foundry-';
+
+/**
+ * Identifies this browser session towards the server, which echoes it as
+ * `source` in push events so we can skip changes we made ourselves.
+ */
+export const CLIENT_ID = `${CLIENT_PREFIX}${foundry.utils.randomID()}`;
+
+/**
+ * Whether a change was made by a Foundry client running this module.
+ * @param {string|null} source  The `source` of a push event
+ */
+export function isFoundryClient(source) {
+  return typeof source === 'string' && source.startsWith(CLIENT_PREFIX);
+}
+
+// ============================================================================
+// Connection Settings
+// ============================================================================
+
+export function getServerUrl() {
+  const url = game.settings.get(MODULE_ID, 'serverUrl')?.trim() || DEFAULT_SERVER_URL;
+  return url.replace(/\/+$/, '');
+}
+
+export function getCampaignId() {
+  return game.settings.get(MODULE_ID, 'campaignId')?.trim() || game.world.id;
+}
+
+function getAuthToken() {
+  return game.settings.get(MODULE_ID, 'authToken')?.trim() || '';
+}
+
+function buildUrl(path) {
+  const url = new URL(`${getServerUrl()}${path}`);
+  url.searchParams.set('campaign', getCampaignId());
+  return url;
+}
+
+function buildHeaders(hasBody, revision) {
+  const headers = {};
+  if (hasBody) {
+    headers['Content-Type'] = 'application/json';
+    headers['X-Front-Manager-Client'] = CLIENT_ID;
+  }
+  if (revision) headers['If-Match'] = `"${revision}"`;
+
+  const token = getAuthToken();
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+  return headers;
+}
+
+/**
+ * URL of the server-sent events stream. EventSource cannot send headers,
+ * so the token and client id travel as query parameters here.
+ */
+export function getEventsUrl() {
+  const url = buildUrl('/api/fronts/events');
+  url.searchParams.set('client', CLIENT_ID);
+
+  const token = getAuthToken();
+  if (token) url.searchParams.set('token', token);
+  return url.toString();
+}
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Thrown when the server cannot be reached at all, as opposed to the server
+ * answering with an error. Callers fall back to offline mode on this error.
+ */
+export class ServerUnreachableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ServerUnreachableError';
+  }
+}
+
+/**
+ * Thrown when the server answers with an error status.
+ */
+export class ServerError extends Error {
+  constructor(status) {
+    super(`Server error: ${status}`);
+    this.name = 'ServerError';
+    this.status = status;
+  }
+}
+
+/**
+ * Thrown when a save was based on an outdated revision (HTTP 409).
+ * `data` holds the server's current fronts document if it sent one.
+ */
+export class ConflictError extends ServerError {
+  constructor(data) {
+    super(409);
+    this.name = 'ConflictError';
+    this.data = data;
+  }
+}
+
+export function isUnreachable(err) {
+  return err instanceof ServerUnreachableError;
+}
+
+// ============================================================================
+// Requests
+// ============================================================================
+
+/**
+ * Send a request to the MCP server and return the parsed JSON response.
+ * @param {string} path                 API path, e.g. "/api/fronts"
+ * @param {object} [options]
+ * @param {string} [options.method]     HTTP method, defaults to GET
+ * @param {object} [options.body]       JSON payload for POST requests
+ * @param {string} [options.revision]   Revision the change is based on, sent as If-Match
+ * @returns {Promise<object>}           Response data; `revision` falls back to the ETag header
+ */
+export async function apiRequest(path, { method = 'GET', body, revision } = {}) {
+  const hasBody = body !== undefined;
+  let response;
+  try {
+    response = await fetch(buildUrl(path), {
+      method,
+      headers: buildHeaders(hasBody, revision),
+      body: hasBody ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+  } catch (err) {
+    // fetch only rejects on network failures and timeouts
+    throw new ServerUnreachableError(err.message);
+  }
+
+  if (UNREACHABLE_STATUS.includes(response.status)) {
+    throw new ServerUnreachableError(`Server error: ${response.status}`);
+  }
+  if (response.status === 409) {
+    throw new ConflictError(await readJson(response).catch(() => ({})));
+  }
+  if (!response.ok) {
+    throw new ServerError(response.status);
+  }
+
+  const data = await readJson(response);
+  const etag = response.headers.get('ETag');
+  if (etag && data.revision === undefined) {
+    data.revision = etag.replace(/^W\//, '').replace(/"/g, '');
+  }
+  return data;
+}
+
+// Some endpoints answer with an empty body
+async function readJson(response) {
+  const text = await response.text();
+  return text ? JSON.parse(text) : {};
+}
+
+/**
+ * Check whether the configured server is reachable with the current settings.
+ * @returns {Promise<{ok: boolean, fronts?: number, duration?: number, error?: string}>}
+ */
+export async function testConnection() {
+  const start = performance.now();
+  try {
+    const data = await apiRequest('/api/fronts');
+    return {
+      ok: true,
+      fronts: data.fronts?.length || 0,
+      duration: Math.round(performance.now() - start)
+    };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Game Sessions and Timeline
+ * The GM starts a session with a button in the Front Manager; from then on,
+ * completed portents and revealed secrets are stamped with the time and the
+ * session number (`completedAt`/`completedSession` and
+ * `revealedAt`/`revealedSession`). Session numbers and labels live in the
+ * world settings, the stamps in the fronts data.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { resetSessionXp } from './xp.js';
+import { FormDialog } from './form-dialog.js';
+import { localize, format } from './i18n.js';
+
+// ============================================================================
+// Sessions
+// ============================================================================
+
+function getState() {
+  const state = game.settings.get(MODULE_ID, 'sessions');
+  return { current: state?.current ?? null, list: state?.list ?? [] };
+}
+
+export function getSessions() {
+  return getState().list;
+}
+
+/**
+ * @returns {{number: number, label: string, startedAt: number}|null}
+ */
+export function getCurrentSession() {
+  const { current, list } = getState();
+  return list.find(session => session.number === current) ?? null;
+}
+
+export function sessionLabel(number) {
+  const session = getSessions().find(s => s.number === number);
+  return session?.label || format('Session.Default', { number });
+}
+
+/**
+ * Ask for a label and start the next session. Also resets the session XP
+ * tally.
+ * @returns {Promise<object|null>}  The new session, or null if cancelled
+ */
+export async function startSession() {
+  const { list } = getState();
+  const number = Math.max(0, ...list.map(s => s.number)) + 1;
+
+  const data = await FormDialog.prompt({
+    title: localize('Session.StartTitle'),
+    icon: 'fa-play',
+    template: 'session',
+    data: { label: format('Session.Default', { number }) },
+    submit: { label: localize('Session.Start'), icon: 'fa-play' }
+  });
+  if (!data) return null;
+  const label = data.label.trim() || format('Session.Default', { number });
+
+  const session = { number, label, startedAt: Date.now() };
+  await game.settings.set(MODULE_ID, 'sessions', { current: number, list: [...list, session] });
+  await resetSessionXp();
+  return session;
+}
+
+// Stamp fields per event type
+const STAMP_FIELDS = {
+  portent: ['completedAt', 'completedSession'],
+  secret: ['revealedAt', 'revealedSession'],
+  status: ['resolvedAt', 'resolvedSession']
+};
+
+/**
+ * The fields to stamp on a portent or secret after it was toggled, or on a
+ * front or danger after it ended.
+ * @param {'portent'|'secret'|'status'} type
+ * @param {boolean} done  Whether it is now completed, revealed or ended
+ */
+export function eventStamp(type, done) {
+  const [atField, sessionField] = STAMP_FIELDS[type];
+  return {
+    [atField]: done ? new Date().toISOString() : null,
+    [sessionField]: done ? (getState().current ?? null) : null
+  };
+}
+
+// ============================================================================
+// Timeline
+// ============================================================================
+
+/**
+ * Format a stamp for display. Older data only has the date, e.g. '2024-03-01'.
+ * @param {boolean} [withTime]  Include the time if the stamp has one
+ */
+export function formatDate(value, withTime = false) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  const text = date.toLocaleDateString();
+  if (!withTime || !String(value).includes('T')) return text;
+  return `${text} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+function frontEvents(front) {
+  return (front.dangers || []).flatMap(danger => [
+    ...(danger.grimPortents || [])
+      .filter(p => p.completed && p.completedAt)
+      .map(p => ({ type: 'portent', at: p.completedAt, session: p.completedSession ?? null, danger: danger.name, text: p.text })),
+    ...(danger.secrets || [])
+      .filter(s => s.revealed && s.revealedAt)
+      .map(s => ({ type: 'secret', at: s.revealedAt, session: s.revealedSession ?? null, danger: danger.name, text: s.text, xp: s.xp }))
+  ]);
+}
+
+/**
+ * Completed portents and revealed secrets, grouped by session (newest
+ * first) and front. Events from before sessions were tracked come last.
+ * @param {object[]} fronts
+ * @returns {{number: number|null, label: string, started: string, fronts: object[]}[]}
+ */
+export function buildTimeline(fronts) {
+  const groups = new Map();
+
+  for (const front of fronts) {
+    for (const event of frontEvents(front)) {
+      if (!groups.has(event.session)) groups.set(event.session, new Map());
+      const byFront = groups.get(event.session);
+      if (!byFront.has(front.id)) byFront.set(front.id, { id: front.id, name: front.name, portents: 0, secrets: 0, events: [] });
+
+      const entry = byFront.get(front.id);
+      entry.events.push(event);
+      if (event.type === 'portent') entry.portents++;
+      else entry.secrets++;
+    }
+  }
+
+  const sessions = getSessions();
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === null) - (b === null) || b - a)
+    .map(([number, byFront]) => ({
+      number,
+      label: number === null ? localize('Session.None') : sessionLabel(number),
+      started: formatDate(sessions.find(s => s.number === number)?.startedAt),
+      fronts: [...byFront.values()].map(front => ({
+        ...front,
+        events: front.events
+          .sort((a, b) => String(a.at).localeCompare(String(b.at)))
+          .map(event => ({ ...event, date: formatDate(event.at, true) }))
+      }))
+    }));
+}
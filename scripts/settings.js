@@ -0,0 +1,191 @@
+/**
+ * Module Settings
+ * Server connection, authentication and campaign selection, plus the
+ * "test connection" menu shown in the module settings.
+ */
+
+import { MODULE_ID, DEFAULT_SERVER_URL } from './constants.js';
+import { getServerUrl, getCampaignId, testConnection } from './server.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+// ============================================================================
+// Connection Test Window
+// ============================================================================
+
+class ConnectionTestApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'front-manager-connection-test',
+    classes: ['front-manager', 'front-manager-connection-test'],
+    window: {
+      title: 'FRONT_MANAGER.Settings.ConnectionTest.Name',
+      icon: 'fas fa-plug'
+    },
+    position: {
+      width: 420
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/connection-test.hbs`
+    }
+  };
+
+  #result = null;
+  #testing = false;
+
+  async _prepareContext(options) {
+    if (!this.#result && !this.#testing) {
+      await this.#runTest();
+    }
+
+    return {
+      serverUrl: getServerUrl(),
+      campaignId: getCampaignId(),
+      testing: this.#testing,
+      result: this.#result
+    };
+  }
+
+  async #runTest() {
+    this.#testing = true;
+    try {
+      this.#result = await testConnection();
+    } finally {
+      this.#testing = false;
+    }
+  }
+
+  _onRender(context, options) {
+    this.element.querySelectorAll('[data-action="retest"]').forEach(el => {
+      el.addEventListener('click', async ev => {
+        ev.preventDefault();
+        this.#result = null;
+        this.render();
+      });
+    });
+  }
+}
+
+// ============================================================================
+// Registration
+// ============================================================================
+
+/**
+ * Register all module settings. Called from the init hook.
+ * @param {Function} onConnectionChange  Called when URL, token or campaign change
+ */
+export function registerSettings(onConnectionChange) {
+  game.settings.register(MODULE_ID, 'serverUrl', {
+    name: 'FRONT_MANAGER.Settings.ServerUrl.Name',
+    hint: 'FRONT_MANAGER.Settings.ServerUrl.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: DEFAULT_SERVER_URL,
+    onChange: onConnectionChange
+  });
+
+  game.settings.register(MODULE_ID, 'authToken', {
+    name: 'FRONT_MANAGER.Settings.AuthToken.Name',
+    hint: 'FRONT_MANAGER.Settings.AuthToken.Hint',
+    scope: 'client',
+    config: true,
+    type: String,
+    default: '',
+    onChange: onConnectionChange
+  });
+
+  game.settings.register(MODULE_ID, 'campaignId', {
+    name: 'FRONT_MANAGER.Settings.CampaignId.Name',
+    hint: 'FRONT_MANAGER.Settings.CampaignId.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '',
+    onChange: onConnectionChange
+  });
+
+  game.settings.register(MODULE_ID, 'liveUpdates', {
+    name: 'FRONT_MANAGER.Settings.LiveUpdates.Name',
+    hint: 'FRONT_MANAGER.Settings.LiveUpdates.Hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, 'contextPanel', {
+    name: 'FRONT_MANAGER.Settings.ContextPanel.Name',
+    hint: 'FRONT_MANAGER.Settings.ContextPanel.Hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, 'revealChatCard', {
+    name: 'FRONT_MANAGER.Settings.RevealChatCard.Name',
+    hint: 'FRONT_MANAGER.Settings.RevealChatCard.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      off: 'FRONT_MANAGER.Settings.RevealChatCard.Off',
+      public: 'FRONT_MANAGER.Settings.RevealChatCard.Public',
+      whisper: 'FRONT_MANAGER.Settings.RevealChatCard.Whisper'
+    },
+    default: 'off'
+  });
+
+  game.settings.register(MODULE_ID, 'revealJournal', {
+    name: 'FRONT_MANAGER.Settings.RevealJournal.Name',
+    hint: 'FRONT_MANAGER.Settings.RevealJournal.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, 'secretXp', {
+    name: 'FRONT_MANAGER.Settings.SecretXp.Name',
+    hint: 'FRONT_MANAGER.Settings.SecretXp.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // XP awards per secret and the session tally, see xp.js
+  game.settings.register(MODULE_ID, 'xpAwards', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  game.settings.register(MODULE_ID, 'xpSession', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  // Game sessions for the timeline, see sessions.js
+  game.settings.register(MODULE_ID, 'sessions', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'connectionTest', {
+    name: 'FRONT_MANAGER.Settings.ConnectionTest.Name',
+    label: 'FRONT_MANAGER.Settings.ConnectionTest.Label',
+    hint: 'FRONT_MANAGER.Settings.ConnectionTest.Hint',
+    icon: 'fas fa-plug',
+    type: ConnectionTestApp,
+    restricted: true
+  });
+}
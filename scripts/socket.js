@@ -0,0 +1,99 @@
+/**
+ * Multi-GM Sync
+ * Uses the module socket to tell other GM clients that the fronts changed
+ * and to share soft locks on dangers that are currently being edited.
+ *
+ * Socket messages reach every connected client, players included, so they
+ * never carry fronts content. Receivers fetch the new state from the server.
+ */
+
+import { MODULE_ID } from './constants.js';
+
+const SOCKET_NAME = `module.${MODULE_ID}`;
+
+const handlers = new Map();
+
+export function initSocket() {
+  game.socket.on(SOCKET_NAME, message => {
+    if (message?.userId === game.user.id) return;
+    handlers.get(message?.type)?.(message);
+  });
+}
+
+export function onSocketMessage(type, handler) {
+  handlers.set(type, handler);
+}
+
+export function emitSocketMessage(type, data = {}) {
+  game.socket.emit(SOCKET_NAME, { ...data, type, userId: game.user.id });
+}
+
+// ============================================================================
+// Soft Locks
+// ============================================================================
+
+/**
+ * Advisory locks ("Anna is editing Danger X"). Nothing is enforced, the UI
+ * only warns before opening an editor someone else already has open.
+ */
+class SoftLocks {
+  // key -> userId
+  #locks = new Map();
+  #own = new Set();
+  #onChange = null;
+
+  /**
+   * @param {Function} onChange  Called whenever another user's lock changes
+   */
+  init(onChange) {
+    this.#onChange = onChange;
+
+    onSocketMessage('lock', ({ key, userId }) => {
+      this.#locks.set(key, userId);
+      this.#onChange?.();
+    });
+
+    onSocketMessage('unlock', ({ key, userId }) => {
+      if (this.#locks.get(key) !== userId) return;
+      this.#locks.delete(key);
+      this.#onChange?.();
+    });
+
+    // A client that just connected asks everyone for their current locks
+    onSocketMessage('lock-request', () => {
+      for (const key of this.#own) emitSocketMessage('lock', { key });
+    });
+
+    Hooks.on('userConnected', (user, connected) => {
+      if (connected) return;
+      for (const [key, userId] of this.#locks) {
+        if (userId === user.id) this.#locks.delete(key);
+      }
+      this.#onChange?.();
+    });
+
+    emitSocketMessage('lock-request');
+  }
+
+  /**
+   * The user holding a lock, unless it is the current user.
+   * @returns {User|null}
+   */
+  getHolder(key) {
+    const userId = this.#locks.get(key);
+    if (!userId || userId === game.user.id) return null;
+    return game.users.get(userId) ?? null;
+  }
+
+  acquire(key) {
+    this.#own.add(key);
+    emitSocketMessage('lock', { key });
+  }
+
+  release(key) {
+    if (!this.#own.delete(key)) return;
+    emitSocketMessage('unlock', { key });
+  }
+}
+
+export const softLocks = new SoftLocks();
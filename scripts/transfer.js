@@ -0,0 +1,426 @@
+/**
+ * Import and Export
+ * Fronts are exported as versioned JSON for backups and moving between
+ * worlds, or as Markdown for prep notes. Both can be imported again; the
+ * Markdown parser also reads the usual Dungeon World / Sly Flourish outline:
+ *
+ *   # Front name
+ *   Type: Campaign          (labels in the world's language)
+ *   ## Cast
+ *   - **Name**: description
+ *   ## Stakes
+ *   - Will the heroes ...?
+ *   ## Dangers
+ *   ### Danger name (type)
+ *   **Impulse:** ...
+ *   **Impending Doom:** ...
+ *   #### Grim Portents
+ *   - [x] completed portent
+ *   - [ ] open portent
+ *   #### Secrets
+ *   - [ ] secret text (30 XP)
+ *   #### Locations
+ *   - **Name**: description
+ */
+
+import { migrateFront, assignIds } from './schema.js';
+import { localize, format } from './i18n.js';
+
+export const EXPORT_FORMAT = 'front-manager';
+export const EXPORT_VERSION = 1;
+
+// Keys of the front type labels
+const FRONT_TYPES = {
+  campaign: 'Campaign',
+  adventure: 'Adventure'
+};
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * @param {object[]} fronts
+ * @returns {string}  JSON with format and version, see parseJson
+ */
+export function frontsToJson(fronts) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    fronts
+  }, null, 2);
+}
+
+function entityLine(item) {
+  if (typeof item === 'string') return `- ${item}`;
+  return item.description ? `- **${item.name}**: ${item.description}` : `- **${item.name}**`;
+}
+
+function checkbox(done) {
+  return done ? '- [x]' : '- [ ]';
+}
+
+/**
+ * @param {object[]} fronts
+ * @returns {string}  Markdown in the layout described above
+ */
+export function frontsToMarkdown(fronts) {
+  const lines = [];
+  const section = (title, items) => {
+    if (!items?.length) return;
+    lines.push(title, ...items, '');
+  };
+
+  for (const front of fronts) {
+    const type = FRONT_TYPES[front.type] ? localize(FRONT_TYPES[front.type]) : front.type;
+    lines.push(`# ${front.name}`, '', `${localize('Export.Type')}: ${type}`, '');
+    section('## Cast', (front.cast || []).map(entityLine));
+    section('## Stakes', (front.stakes || []).map(stake => `- ${stake}`));
+    section('## Player Hooks', (front.playerHooks || []).map(hook => `- ${typeof hook === 'string' ? hook : hook.text}`));
+
+    if (front.dangers?.length) lines.push('## Dangers', '');
+    for (const danger of front.dangers || []) {
+      lines.push(danger.dangerType ? `### ${danger.name} (${danger.dangerType})` : `### ${danger.name}`, '');
+      if (danger.impulse) lines.push(`**Impulse:** ${danger.impulse}`, '');
+      if (danger.impendingDoom) lines.push(`**Impending Doom:** ${danger.impendingDoom}`, '');
+      section('#### Grim Portents', (danger.grimPortents || []).map(p => `${checkbox(p.completed)} ${p.text}`));
+      section('#### Secrets', (danger.secrets || []).map(s => `${checkbox(s.revealed)} ${s.text} (${s.xp ?? 0} XP)`));
+      section('#### Locations', (danger.locations || []).map(entityLine));
+    }
+  }
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Read an exported JSON file. Also accepts a bare fronts document
+ * ({fronts: [...]}) or a list of fronts.
+ * @returns {{fronts: object[], errors: string[], warnings: string[]}}
+ */
+export function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { fronts: [], errors: [format('Import.InvalidJson', { error: err.message })], warnings: [] };
+  }
+
+  const warnings = [];
+  if (Array.isArray(data)) data = { fronts: data };
+  if (data?.format && data.format !== EXPORT_FORMAT) {
+    return { fronts: [], errors: [format('Import.UnknownFormat', { format: data.format })], warnings };
+  }
+  if (data?.version > EXPORT_VERSION) {
+    warnings.push(format('Import.NewerVersion', { version: data.version }));
+  }
+  if (!Array.isArray(data?.fronts)) {
+    return { fronts: [], errors: [localize('Import.NoFrontList')], warnings };
+  }
+  return { fronts: data.fronts, errors: [], warnings };
+}
+
+// Headings and keys, in English and German, lower case
+const SECTIONS = [
+  ['cast', /^(cast|besetzung|personen)$/],
+  ['stakes', /^(stakes|stakes questions|einsätze|fragen)$/],
+  ['playerHooks', /^(player hooks|spielerbezüge|hooks)$/],
+  ['dangers', /^(dangers|gefahren)$/],
+  ['grimPortents', /^(grim portents|portents|vorzeichen)$/],
+  ['secrets', /^(secrets|geheimnisse)$/],
+  ['locations', /^(locations|orte)$/]
+];
+const DANGER_SECTIONS = ['grimPortents', 'secrets', 'locations'];
+
+const KEYS = [
+  ['type', /^(typ|type)$/],
+  ['impulse', /^(impulse|impuls)$/],
+  ['impendingDoom', /^(impending doom|doom|drohendes unheil)$/]
+];
+
+function matchName(table, text) {
+  const lower = text.trim().toLowerCase();
+  return table.find(([, pattern]) => pattern.test(lower))?.[0] ?? null;
+}
+
+function parseEntity(text) {
+  const bold = text.match(/^\*\*(.+?)\*\*:?\s*(.*)$/);
+  if (bold) return { name: bold[1].trim(), description: bold[2].trim() };
+  const [name, ...rest] = text.split(/:\s+|\s+[–—]\s+/);
+  return { name: name.trim(), description: rest.join(': ').trim() };
+}
+
+/**
+ * Exports label the type in the language of the world they came from, so
+ * German and English labels are both read, plus the current language's.
+ */
+function parseFrontType(value) {
+  const lower = value.trim().toLowerCase();
+  const campaign = ['campaign', 'kampagne', 'kampagnenfront', localize('Campaign').toLowerCase()];
+  return campaign.includes(lower) ? 'campaign' : 'adventure';
+}
+
+/**
+ * Read a Markdown outline, see the layout at the top of this file.
+ * @returns {{fronts: object[], errors: string[], warnings: string[]}}
+ */
+export function parseMarkdown(text) {
+  const fronts = [];
+  const warnings = [];
+  let front = null;
+  let danger = null;
+  let section = null;
+
+  const currentFront = () => {
+    if (!front) {
+      front = { name: localize('Import.DefaultFront'), type: 'adventure', cast: [], stakes: [], playerHooks: [], dangers: [] };
+      fronts.push(front);
+      warnings.push(localize('Import.NoFrontHeading'));
+    }
+    return front;
+  };
+
+  const startDanger = title => {
+    const match = title.replace(/^(danger|gefahr):\s*/i, '').match(/^(.*?)(?:\s*\(([^)]+)\))?$/);
+    danger = {
+      name: match[1].trim(),
+      dangerType: match[2]?.trim() ?? '',
+      impulse: '',
+      impendingDoom: '',
+      grimPortents: [],
+      secrets: [],
+      locations: []
+    };
+    currentFront().dangers.push(danger);
+    section = null;
+  };
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const level = heading[1].length;
+      const title = heading[2].replace(/[*_]/g, '').trim();
+      if (level === 1) {
+        front = {
+          name: title.replace(/^front:\s*/i, ''),
+          type: 'adventure',
+          cast: [],
+          stakes: [],
+          playerHooks: [],
+          dangers: []
+        };
+        fronts.push(front);
+        danger = null;
+        section = null;
+        return;
+      }
+
+      const named = matchName(SECTIONS, title);
+      if (named && DANGER_SECTIONS.includes(named)) {
+        if (danger) {
+          section = named;
+        } else {
+          warnings.push(format('Import.SectionWithoutDanger', { line: index + 1, title }));
+          section = 'unknown';
+        }
+      } else if (named) {
+        section = named;
+        danger = null;
+      } else if (section === 'dangers' || danger || /^(danger|gefahr):/i.test(title)) {
+        startDanger(title);
+      } else {
+        warnings.push(format('Import.UnknownSection', { line: index + 1, title }));
+        section = 'unknown';
+      }
+      return;
+    }
+
+    // Key-value lines like "**Impulse:** ..." or "- Doom: ..."
+    const pair = line.replace(/^[-*]\s+/, '').match(/^\**([^:*]+?)\**:\**\s*(.+)$/);
+    const key = pair ? matchName(KEYS, pair[1]) : null;
+    if (key) {
+      const value = pair[2].trim();
+      if (key === 'type') {
+        if (danger) danger.dangerType = value;
+        else currentFront().type = parseFrontType(value);
+      } else if (danger) {
+        danger[key] = value;
+      } else {
+        warnings.push(format('Import.KeyWithoutDanger', { line: index + 1, key: pair[1].trim() }));
+      }
+      return;
+    }
+
+    const item = line.match(/^(?:[-*+]|\d+\.)\s+(?:\[([ xX])\]\s+)?(.*)$/);
+    if (!item) {
+      if (section !== 'unknown') warnings.push(format('Import.SkippedLine', { line: index + 1, text: line.slice(0, 40) }));
+      return;
+    }
+
+    const done = item[1]?.toLowerCase() === 'x';
+    const value = item[2].trim();
+    switch (section) {
+      case 'cast':
+        currentFront().cast.push(parseEntity(value));
+        break;
+      case 'stakes':
+        currentFront().stakes.push(value);
+        break;
+      case 'playerHooks':
+        currentFront().playerHooks.push({ text: value });
+        break;
+      case 'grimPortents':
+        danger.grimPortents.push({ text: value, completed: done });
+        break;
+      case 'secrets': {
+        const xp = value.match(/\s*\((\d+)\s*xp\)$/i);
+        danger.secrets.push({
+          text: xp ? value.slice(0, xp.index).trim() : value,
+          xp: xp ? Number(xp[1]) : 30,
+          revealed: done
+        });
+        break;
+      }
+      case 'locations':
+        danger.locations.push(parseEntity(value));
+        break;
+      case 'unknown':
+        break;
+      default:
+        warnings.push(format('Import.ItemOutsideSection', { line: index + 1 }));
+    }
+  });
+
+  const errors = fronts.length ? [] : [localize('Import.NoFronts')];
+  return { fronts, errors, warnings };
+}
+
+// ============================================================================
+// Normalization
+// ============================================================================
+
+/**
+ * Give everything that has no id a new one and migrate the fronts to the
+ * current schema, so they can be saved as they are. Check the result with
+ * validateFronts from schema.js.
+ * @param {Function} generateId  (prefix) => unique id
+ */
+export function normalizeFronts(fronts, generateId) {
+  return reassignIds(fronts.map((front, index) => migrateFront(assignIds(front, generateId), index)));
+}
+
+/**
+ * Every id in a value, however deeply nested.
+ */
+function collectIds(value, ids = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectIds(item, ids));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.id === 'string') ids.add(value.id);
+    Object.values(value).forEach(item => collectIds(item, ids));
+  }
+  return ids;
+}
+
+/**
+ * Give everything in migrated fronts whose id is already taken a new one,
+ * e.g. a danger that was exported and is imported again as another front.
+ * Clues follow their cast member or location to its new id. The ids of the
+ * fronts are kept, they decide which front an import replaces.
+ * @param {object[]} fronts
+ * @param {Set<string>} [taken]  Ids in use; the fronts' ids are added to it
+ * @returns {object[]}
+ */
+function reassignIds(fronts, taken = new Set()) {
+  const unique = (item, prefix, renamed) => {
+    let id = item.id;
+    if (taken.has(id)) {
+      id = `${prefix}-${foundry.utils.randomID()}`;
+      renamed?.set(item.id, id);
+    }
+    taken.add(id);
+    return { ...item, id };
+  };
+
+  // Malformed items are left alone for validation to report
+  const each = (list, fn) => Array.isArray(list)
+    ? list.map(item => item && typeof item === 'object' && !Array.isArray(item) ? fn(item) : item)
+    : list;
+
+  return each(fronts, front => {
+    taken.add(front.id);
+    const cast = new Map();
+    return {
+      ...front,
+      cast: each(front.cast, member => unique(member, 'cast', cast)),
+      playerHooks: each(front.playerHooks, hook => unique(hook, 'hook')),
+      dangers: each(front.dangers, danger => {
+        const locations = new Map();
+        const copy = {
+          ...unique(danger, 'danger'),
+          grimPortents: each(danger.grimPortents, portent => unique(portent, 'portent')),
+          locations: each(danger.locations, location => unique(location, 'locations', locations))
+        };
+        const target = clue => (clue.type === 'cast' ? cast : clue.type === 'location' ? locations : null)
+          ?.get(clue.target) ?? clue.target;
+        copy.secrets = each(danger.secrets, secret => ({
+          ...unique(secret, 'secret'),
+          clues: each(secret.clues, clue => ({ ...unique(clue, 'clue'), target: target(clue) }))
+        }));
+        return copy;
+      })
+    };
+  });
+}
+
+// ============================================================================
+// Applying an Import
+// ============================================================================
+
+function findExisting(existing, front) {
+  const name = front.name.trim().toLowerCase();
+  return existing.find(f => f.id === front.id)
+    ?? existing.find(f => f.name?.trim().toLowerCase() === name)
+    ?? null;
+}
+
+/**
+ * What importing would do to each front, for the preview.
+ * @param {'merge'|'replace'} mode
+ * @returns {{name: string, action: 'add'|'replace', dangers: number, portents: number, secrets: number}[]}
+ */
+export function previewImport(existing, fronts, mode) {
+  return fronts.map(front => ({
+    name: front.name,
+    action: mode === 'merge' && findExisting(existing, front) ? 'replace' : 'add',
+    dangers: front.dangers.length,
+    portents: front.dangers.reduce((sum, d) => sum + d.grimPortents.length, 0),
+    secrets: front.dangers.reduce((sum, d) => sum + d.secrets.length, 0)
+  }));
+}
+
+/**
+ * Operations that import normalized fronts. Merging replaces fronts with the
+ * same id or name and adds the others; anything else in them whose id is
+ * used by a front that stays gets a new one. Replacing swaps out all fronts.
+ * @param {'merge'|'replace'} mode
+ * @returns {object[]}
+ */
+export function importOperations(existing, fronts, mode) {
+  if (mode === 'replace') return [{ op: 'replace', path: 'fronts', value: fronts }];
+
+  const replaced = new Set(fronts.map(front => findExisting(existing, front)?.id));
+  const taken = collectIds(existing.filter(front => !replaced.has(front.id)));
+  return reassignIds(fronts, taken).map(front => {
+    const match = findExisting(existing, front);
+    if (!match) return { op: 'add', path: 'fronts', value: front };
+    return { op: 'replace', path: `fronts/${match.id}`, value: { ...front, id: match.id } };
+  });
+}
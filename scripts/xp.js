@@ -0,0 +1,160 @@
+/**
+ * Secret XP
+ * Awards a secret's XP to PF2e characters when it is revealed and takes it
+ * back when the secret is un-revealed. Every award is recorded in a world
+ * setting, so the removal goes to exactly the actors that got the XP.
+ *
+ * Also keeps a running tally of the XP handed out for secrets since the
+ * GM last reset it, usually at the start of a session.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { FormDialog } from './form-dialog.js';
+import { localize, format } from './i18n.js';
+
+const XP_PATH = 'system.details.xp.value';
+
+export function isXpEnabled() {
+  return game.settings.get(MODULE_ID, 'secretXp');
+}
+
+// ============================================================================
+// Recipients
+// ============================================================================
+
+function isCharacter(actor) {
+  return actor?.type === 'character';
+}
+
+function getPartyMembers() {
+  return (game.actors.party?.members || []).filter(isCharacter);
+}
+
+function getSelectedCharacters() {
+  const actors = canvas.tokens?.controlled.map(t => t.actor) || [];
+  return [...new Set(actors.filter(isCharacter))];
+}
+
+/**
+ * Ask the GM whether and to whom the XP should go.
+ * @returns {Promise<Actor[]|null>}  The recipients, or null to award nothing
+ */
+async function promptRecipients(secret) {
+  const party = getPartyMembers();
+  const selected = getSelectedCharacters();
+  if (!party.length && !selected.length) {
+    ui.notifications.warn(localize('Xp.NoRecipients'));
+    return null;
+  }
+
+  const data = await FormDialog.prompt({
+    title: localize('Xp.AwardTitle'),
+    icon: 'fa-star',
+    template: 'xp-recipients',
+    data: {
+      xp: secret.xp,
+      text: secret.text.substring(0, 80),
+      options: [
+        { value: 'party', label: localize('Xp.Party'), actors: party, checked: party.length },
+        { value: 'selected', label: localize('Xp.Selected'), actors: selected, checked: !party.length }
+      ]
+    },
+    submit: { label: localize('Xp.Award'), icon: 'fa-star' },
+    cancel: { label: localize('Xp.NoXp') }
+  });
+  if (!data) return null;
+  return data.recipients === 'selected' ? selected : party;
+}
+
+// ============================================================================
+// Awarding
+// ============================================================================
+
+async function addXp(actors, amount) {
+  await Promise.all(actors.map(actor => {
+    const current = foundry.utils.getProperty(actor, XP_PATH) ?? 0;
+    return actor.update({ [XP_PATH]: Math.max(0, current + amount) });
+  }));
+}
+
+function getAwards() {
+  return game.settings.get(MODULE_ID, 'xpAwards') || {};
+}
+
+async function setAwards(awards) {
+  await game.settings.set(MODULE_ID, 'xpAwards', awards);
+}
+
+/**
+ * Offer to award the XP of a freshly revealed secret.
+ * @returns {Promise<boolean>}  Whether XP was awarded
+ */
+export async function awardSecretXp(secret) {
+  if (!isXpEnabled() || !secret.xp) return false;
+  // Already awarded, e.g. when the reveal was replayed from another client
+  if (getAwards()[secret.id]) return false;
+
+  const actors = await promptRecipients(secret);
+  if (!actors?.length) return false;
+
+  await addXp(actors, secret.xp);
+  await setAwards({
+    ...getAwards(),
+    [secret.id]: { xp: secret.xp, actors: actors.map(a => a.uuid), awardedAt: Date.now() }
+  });
+
+  const session = getSession();
+  await setSession({ ...session, total: session.total + secret.xp });
+
+  ui.notifications.info(format('Xp.Awarded', { xp: secret.xp, count: actors.length }));
+  return true;
+}
+
+/**
+ * Take back the XP awarded for a secret that was un-revealed.
+ * @returns {Promise<boolean>}  Whether XP was removed
+ */
+export async function revokeSecretXp(secret) {
+  const awards = getAwards();
+  const award = awards[secret.id];
+  if (!award) return false;
+
+  // Actors deleted since the award are skipped
+  const actors = award.actors.map(uuid => fromUuidSync(uuid)).filter(Boolean);
+  await addXp(actors, -award.xp);
+
+  delete awards[secret.id];
+  await setAwards(awards);
+
+  const session = getSession();
+  if (award.awardedAt >= session.startedAt) {
+    await setSession({ ...session, total: Math.max(0, session.total - award.xp) });
+  }
+
+  ui.notifications.info(format('Xp.Revoked', { xp: award.xp, count: actors.length }));
+  return true;
+}
+
+// ============================================================================
+// Session Tally
+// ============================================================================
+
+function getSession() {
+  const session = game.settings.get(MODULE_ID, 'xpSession');
+  return { total: session?.total ?? 0, startedAt: session?.startedAt ?? 0 };
+}
+
+async function setSession(session) {
+  await game.settings.set(MODULE_ID, 'xpSession', session);
+}
+
+/**
+ * XP handed out for secrets since the last reset.
+ */
+export function getSessionXp() {
+  return getSession().total;
+}
+
+export async function resetSessionXp() {
+  await setSession({ total: 0, startedAt: Date.now() });
+}
@@ -0,0 +1,173 @@
+/**
+ * Mock MCP Server
+ * A minimal stand-in for the MCP server's fronts API, for trying out the
+ * module without the real server. Data lives in memory, per campaign.
+ *
+ *   node tools/mock-server.mjs [port] [seed.json]
+ *
+ * Endpoints:
+ *   GET  /api/fronts                 current fronts + revision
+ *   POST /api/fronts/save            full save, 409 on an outdated revision
+ *   POST /api/fronts/patch           apply operations, 409 on an outdated revision
+ *   POST /api/fronts/secret/toggle   {dangerId, secretId}
+ *   POST /api/fronts/portent/toggle  {dangerId, portentId}
+ *   GET  /api/fronts/events          server-sent events with every change
+ *
+ * Changes posted with another client id (or with curl) are pushed to all
+ * connected clients, which makes it easy to simulate edits from the AI side.
+ * Add ?silent to a POST to skip that, like a change whose event has not
+ * arrived yet.
+ *
+ * tools/seed.json has a front whose danger has a secret with a cast clue.
+ * With the danger expanded, changing it from outside re-renders only that
+ * danger, which should show the clue without errors in the console:
+ *   curl -X POST localhost:3000/api/fronts/patch -d '{"operations": [{"op": "replace",
+ *     "path": "fronts/front-seed/dangers/danger-seed/impulse", "value": "Changed"}]}'
+ *
+ * An edit to something that arrived by a live update must still run into the
+ * merge dialog when the server changed it too. Add a portent live, change its
+ * text silently, then edit its text in Foundry; the dialog must show the text:
+ *   curl -X POST localhost:3000/api/fronts/patch -d '{"operations": [{"op": "add",
+ *     "path": "fronts/front-seed/dangers/danger-seed/grimPortents",
+ *     "value": {"id": "portent-live", "text": "Live", "completed": false}}]}'
+ *   curl -X POST 'localhost:3000/api/fronts/patch?silent' -d '{"operations": [{"op": "replace",
+ *     "path": "fronts/front-seed/dangers/danger-seed/grimPortents/portent-live/text", "value": "Server"}]}'
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import { applyOperations } from '../scripts/operations.js';
+
+const port = Number(process.argv[2]) || 3000;
+const seed = process.argv[3] ? JSON.parse(fs.readFileSync(process.argv[3], 'utf8')) : { fronts: [] };
+
+const campaigns = new Map();
+const listeners = new Set();
+
+function getCampaign(id) {
+  if (!campaigns.has(id)) {
+    campaigns.set(id, { fronts: structuredClone(seed.fronts || []), revision: 1 });
+  }
+  return campaigns.get(id);
+}
+
+function findDanger(campaign, dangerId) {
+  for (const front of campaign.fronts) {
+    const danger = front.dangers?.find(d => d.id === dangerId);
+    if (danger) return danger;
+  }
+  return null;
+}
+
+function broadcast(campaignId, message) {
+  const data = `data: ${JSON.stringify(message)}\n\n`;
+  for (const listener of listeners) {
+    if (listener.campaign === campaignId) listener.res.write(data);
+  }
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => (data += chunk));
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+function isOutdated(req, body, campaign) {
+  const revision = body.revision ?? req.headers['if-match']?.replace(/"/g, '');
+  return revision !== undefined && String(revision) !== String(campaign.revision);
+}
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const campaignId = url.searchParams.get('campaign') || 'default';
+  const campaign = getCampaign(campaignId);
+  const source = req.headers['x-front-manager-client'] ?? null;
+  const silent = url.searchParams.has('silent');
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/api/fronts') {
+      return send(res, 200, campaign, { ETag: `"${campaign.revision}"` });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/fronts/events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      const listener = { campaign: campaignId, res };
+      listeners.add(listener);
+      req.on('close', () => listeners.delete(listener));
+      return;
+    }
+
+    if (req.method !== 'POST') return send(res, 404, { error: 'Not found' });
+    const body = await readBody(req);
+
+    switch (url.pathname) {
+      case '/api/fronts/save': {
+        if (isOutdated(req, body, campaign)) return send(res, 409, campaign);
+        campaign.fronts = body.fronts;
+        campaign.revision++;
+        if (!silent) broadcast(campaignId, { type: 'fronts', fronts: campaign.fronts, revision: campaign.revision, source });
+        return send(res, 200, { revision: campaign.revision });
+      }
+
+      case '/api/fronts/patch': {
+        if (isOutdated(req, body, campaign)) return send(res, 409, campaign);
+        applyOperations(campaign, body.operations);
+        campaign.revision++;
+        if (!silent) broadcast(campaignId, { type: 'patch', operations: body.operations, revision: campaign.revision, source });
+        return send(res, 200, { revision: campaign.revision });
+      }
+
+      case '/api/fronts/secret/toggle': {
+        const secret = findDanger(campaign, body.dangerId)?.secrets?.find(s => s.id === body.secretId);
+        if (!secret) return send(res, 404, { error: 'Secret not found' });
+        secret.revealed = !secret.revealed;
+        secret.revealedAt = secret.revealed ? new Date().toISOString().slice(0, 10) : null;
+        campaign.revision++;
+        if (!silent) broadcast(campaignId, { type: 'fronts', fronts: campaign.fronts, revision: campaign.revision, source });
+        return send(res, 200, { secret, revision: campaign.revision });
+      }
+
+      case '/api/fronts/portent/toggle': {
+        const portent = findDanger(campaign, body.dangerId)?.grimPortents?.find(p => p.id === body.portentId);
+        if (!portent) return send(res, 404, { error: 'Portent not found' });
+        portent.completed = !portent.completed;
+        campaign.revision++;
+        if (!silent) broadcast(campaignId, { type: 'fronts', fronts: campaign.fronts, revision: campaign.revision, source });
+        return send(res, 200, { portent, revision: campaign.revision });
+      }
+
+      default:
+        return send(res, 404, { error: 'Not found' });
+    }
+  } catch (err) {
+    console.error(err);
+    return send(res, 400, { error: err.message });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock MCP server listening on http://localhost:${port}`);
+});